@@ -0,0 +1,153 @@
+/* Dice and Canvas Animation
+ *
+ * Per-attack presentation around the roll itself. With Dice So Nice, the tracker can
+ * show each attack's dice and wait for them to land before the next attack may be rolled
+ * (the system's own handler stops waiting when Dice So Nice displays chat messages
+ * immediately). Animation modules can listen to a configurable hook, called once per
+ * rolled attack with the attacker and its targets. The targets of the attack up next
+ * are ringed on the canvas, and the view can pan to them.
+ */
+
+const SCOPE = "pf1-sequential-attacks";
+
+/**
+ * How the targets of the current attack are shown on the canvas.
+ */
+export const TARGET_FOCUS_MODES = {
+  none: "PF1SEQ.TargetFocus.None",
+  highlight: "PF1SEQ.TargetFocus.Highlight",
+  pan: "PF1SEQ.TargetFocus.Pan",
+};
+
+// ---- Dice So Nice ---- //
+
+/**
+ * Whether rolling an attack should wait for its 3D dice to finish.
+ * @returns {boolean}
+ */
+export function waitsForDice() {
+  return !!game.dice3d?.isEnabled?.() && game.settings.get(SCOPE, "waitForDice");
+}
+
+/**
+ * Show the 3D dice of a single attack and wait until they have all landed.
+ * @param {ActionUse} actionUse
+ * @param {ChatAttack} chatAttack
+ */
+export async function showAttackDice(actionUse, chatAttack) {
+  const chatData = {};
+  ChatMessage.applyRollMode(chatData, actionUse.shared.rollMode);
+  const rolls = [
+    chatAttack.attack,
+    chatAttack.critConfirm,
+    ...(chatAttack.damage?.rolls ?? []),
+    ...(chatAttack.critDamage?.rolls ?? []),
+  ].filter((roll) => roll);
+
+  // A failed animation must not keep the attack card from being posted
+  try {
+    await Promise.all(
+      rolls.map((roll) => game.dice3d.showForRoll(roll, game.user, true, chatData.whisper ?? null, !!chatData.blind))
+    );
+  } catch (err) {
+    console.error("pf1-sequential-attacks | Dice So Nice animation failed:", err);
+  }
+}
+
+// ---- Attack Animations ---- //
+
+/**
+ * @param {TokenDocument|Token|null} token
+ * @returns {Token|null} The token's placeable on the canvas
+ */
+function _placeable(token) {
+  return (token?.document ?? token)?.object ?? null;
+}
+
+/**
+ * Call the configured animation hook for a rolled attack, if there is one.
+ * @param {SequentialAttackTracker} tracker
+ * @param {number} idx Index into allAttacks
+ * @param {object} data
+ * @param {ChatAttack} data.chatAttack
+ * @param {ChatMessage|null} data.message
+ */
+export function callAttackAnimation(tracker, idx, { chatAttack, message }) {
+  const hook = game.settings.get(SCOPE, "animationHook").trim();
+  if (!hook) return;
+
+  const atk = tracker.allAttacks[idx];
+  const { actionUse } = tracker.sourceOf(idx);
+  const attacker = _placeable(actionUse.token) ?? tracker.actor.getActiveTokens()[0] ?? null;
+  const targets = tracker.targetsOf(atk).map((uuid) => fromUuidSync(uuid));
+  // Attacks without an attack roll hit whatever they target
+  const result = tracker.resultOf(atk);
+  const hits = result ? targets.filter((token) => result.targets.some((t) => t.uuid === token?.uuid && t.hit)) : targets;
+
+  Hooks.callAll(hook, tracker, {
+    index: idx,
+    item: actionUse.item,
+    action: actionUse.action,
+    attacker,
+    targets: targets.map(_placeable).filter((token) => token),
+    hitTargets: hits.map(_placeable).filter((token) => token),
+    chatAttack,
+    message,
+  });
+}
+
+// ---- Target Focus ---- //
+
+/**
+ * Rings the tokens targeted by the attack up next, and pans to them if the user wants.
+ * Each tracker keeps one, updated whenever the current attack or the targets change.
+ */
+export class TargetFocus {
+  constructor() {
+    /**
+     * Token UUIDs currently focused, joined, so repeated updates don't pan again.
+     * @type {string}
+     */
+    this._key = "";
+    /** @type {PIXI.Graphics[]} */
+    this._rings = [];
+  }
+
+  /**
+   * @param {string[]} uuids Token UUIDs of the current attack's targets
+   */
+  update(uuids) {
+    const mode = game.settings.get(SCOPE, "targetFocus");
+    const key = mode !== "none" && canvas.ready ? uuids.join() : "";
+    if (key === this._key) return;
+    this.clear();
+    if (!key) return;
+    this._key = key;
+
+    const tokens = uuids.map((uuid) => fromUuidSync(uuid)?.object).filter((token) => token?.visible);
+    for (const token of tokens) this._rings.push(this._drawRing(token));
+    if (mode === "pan" && tokens.length) {
+      const { x, y } = tokens[0].center;
+      canvas.animatePan({ x, y, duration: 250 });
+    }
+  }
+
+  /**
+   * @param {Token} token
+   * @returns {PIXI.Graphics} A ring drawn as a child of the token, so it follows it
+   */
+  _drawRing(token) {
+    const ring = new PIXI.Graphics();
+    const radius = Math.max(token.w, token.h) / 2 + 4;
+    ring.lineStyle(3, 0xff6400, 0.9).drawCircle(token.w / 2, token.h / 2, radius);
+    token.addChild(ring);
+    return ring;
+  }
+
+  clear() {
+    // A token redrawn in the meantime has already destroyed its children
+    for (const ring of this._rings) if (!ring.destroyed) ring.destroy();
+    this._rings = [];
+    this._key = "";
+  }
+}
@@ -0,0 +1,114 @@
+/* Public API
+ *
+ * What macros and other modules can reach through game.modules.get("pf1-sequential-attacks").api:
+ * starting a sequence without going through ActionUse.process(), listing the sequences open
+ * on this client, and stepping them. Progress is announced through hooks, each called with
+ * the tracker as their first argument:
+ *
+ *   pf1SequentialStart (tracker, { resumed })
+ *   pf1SequentialAttackResolved (tracker, { index, chatAttack, message })
+ *   pf1SequentialSkip (tracker, { index })
+ *   pf1SequentialEnd (tracker, outcome, summary)
+ *
+ * Summaries are as returned by SequentialAttackTracker#summarize().
+ */
+
+import { createActionUse, prepareFullAttack, startPreparedSequence } from "./sequence.mjs";
+import { SequentialAttackTracker } from "./tracker.mjs";
+import { checkActorTurn } from "./combat.mjs";
+
+/**
+ * @param {Actor|string} actor Actor or actor UUID
+ * @returns {SequentialAttackTracker|null} The actor's open tracker on this client
+ */
+function _trackerOf(actor) {
+  const uuid = typeof actor === "string" ? actor : actor?.uuid;
+  const tracker = SequentialAttackTracker.active.get(uuid);
+  return tracker && !tracker._completed ? tracker : null;
+}
+
+/**
+ * Run a full attack as a sequence, whatever the configured mode.
+ * @param {ActionUse|Item} use A prepared ActionUse, or an item to use
+ * @param {object} [options]
+ * @param {string} [options.actionId] Action of the item to use. Defaults to its first action with an attack.
+ * @param {boolean} [options.skipDialog=false] Don't show the attack dialog
+ * @param {object} [options.formData] Attack dialog result to use when the dialog is skipped
+ * @param {Token} [options.token] Token attacking, when an item is given
+ * @param {string} [options.title] Tracker title
+ * @returns {Promise<ActionUse|object|void>} Resolves once the sequence ends, as ActionUse.process()
+ */
+export async function startSequence(use, { actionId, skipDialog = false, formData = {}, token = null, title = null } = {}) {
+  let actionUse = use;
+  if (use instanceof Item) {
+    const action = actionId ? use.actions?.get(actionId) : use.actions?.find((action) => action.hasAttack);
+    if (!action) {
+      ui.notifications.error(game.i18n.format("PF1SEQ.Notify.NoAttackAction", { item: use.name }));
+      return;
+    }
+    actionUse = createActionUse(use, action, { token });
+  }
+  if (!actionUse.action.hasAttack) {
+    ui.notifications.error(game.i18n.format("PF1SEQ.Notify.NoAttackRoll", { action: actionUse.action.name }));
+    return;
+  }
+
+  const actor = actionUse.actor ?? actionUse.item.actor;
+  if (SequentialAttackTracker.active.has(actor.uuid)) {
+    ui.notifications.warn(game.i18n.format("PF1SEQ.Notify.AlreadyOpen", { actor: actor.name }));
+    return;
+  }
+  // Refuse before the dialog is filled in for nothing
+  if (!checkActorTurn(actor)) return;
+
+  const setupErr = await prepareFullAttack(actionUse);
+  if (setupErr) return setupErr;
+
+  const form = skipDialog ? { fullAttack: true, ...formData } : await actionUse.createAttackDialog();
+  if (!form) return;
+
+  return startPreparedSequence(actionUse, form, { title });
+}
+
+/**
+ * @returns {object[]} Summaries of the sequences open on this client
+ */
+export function getActiveSequences() {
+  return [...SequentialAttackTracker.active.values()].map((tracker) => tracker.summarize());
+}
+
+/**
+ * Roll the current attack of an actor's open sequence.
+ * @param {Actor|string} actor Actor or actor UUID
+ * @returns {Promise<boolean>} Whether the actor had a sequence open
+ */
+export async function rollNext(actor) {
+  const tracker = _trackerOf(actor);
+  if (!tracker) return false;
+  await tracker._rollNext();
+  return true;
+}
+
+/**
+ * Skip the current attack of an actor's open sequence.
+ * @param {Actor|string} actor Actor or actor UUID
+ * @returns {Promise<boolean>} Whether the actor had a sequence open
+ */
+export async function skip(actor) {
+  const tracker = _trackerOf(actor);
+  if (!tracker) return false;
+  await tracker._skipCurrentAttack();
+  return true;
+}
+
+/**
+ * Cancel the attacks left in an actor's open sequence.
+ * @param {Actor|string} actor Actor or actor UUID
+ * @returns {boolean} Whether the actor had a sequence open
+ */
+export function cancel(actor) {
+  const tracker = _trackerOf(actor);
+  if (!tracker) return false;
+  tracker._cancel("api");
+  return true;
+}
@@ -0,0 +1,74 @@
+/* Attack Dialog Integration
+ *
+ * Adds a "Resolve attacks one at a time" checkbox to the system's attack dialog so the
+ * choice can be made at the moment of attacking. The wrapper registers the default for
+ * an ActionUse before showing the dialog; only registered ActionUses get the checkbox.
+ * In ask mode the checkbox starts out undecided, and the user is asked after the dialog
+ * unless they tick or untick it.
+ */
+
+/**
+ * Checkbox state per ActionUse, null while undecided.
+ * @type {WeakMap<ActionUse, boolean|null>}
+ */
+const _choices = new WeakMap();
+
+/**
+ * ActionUses whose dialog actually showed the checkbox.
+ * @type {WeakSet<ActionUse>}
+ */
+const _shown = new WeakSet();
+
+/**
+ * Register an ActionUse as eligible for the checkbox, with its initial state.
+ * @param {ActionUse} actionUse
+ * @param {boolean|null} checked Null to leave the choice undecided
+ */
+export function offerSequentialToggle(actionUse, checked) {
+  _choices.set(actionUse, checked);
+}
+
+/**
+ * @param {ActionUse} actionUse
+ * @returns {boolean|undefined} The checkbox state, or undefined if the checkbox was never shown
+ *   or left undecided
+ */
+export function getSequentialChoice(actionUse) {
+  if (!_shown.has(actionUse)) return undefined;
+  return _choices.get(actionUse) ?? undefined;
+}
+
+/**
+ * renderAttackDialog hook: inject the checkbox into the dialog's flag checkboxes.
+ */
+export function injectSequentialToggle(app, html) {
+  const actionUse = app.actionUse;
+  if (!actionUse || !_choices.has(actionUse)) return;
+
+  const root = html instanceof HTMLElement ? html : html[0];
+  if (!root || root.querySelector(".seq-dialog-toggle")) return;
+
+  const label = document.createElement("label");
+  label.classList.add("checkbox", "seq-dialog-toggle");
+  label.dataset.tooltip = game.i18n.localize("PF1SEQ.Dialog.ToggleTooltip");
+
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.name = "pf1-sequential-attacks.sequential";
+  input.checked = !!_choices.get(actionUse);
+  input.indeterminate = _choices.get(actionUse) === null;
+  // Track the value ourselves; the system's dialog doesn't pass unknown fields through
+  input.addEventListener("change", (ev) => {
+    ev.stopPropagation();
+    _choices.set(actionUse, input.checked);
+  });
+
+  label.append(input, ` ${game.i18n.localize("PF1SEQ.Dialog.Toggle")}`);
+
+  const flags = root.querySelector(".flags");
+  if (flags) flags.append(label);
+  else (root.querySelector("form") ?? root).append(label);
+
+  _shown.add(actionUse);
+  if (typeof app.setPosition === "function") app.setPosition({ height: "auto" });
+}
@@ -0,0 +1,101 @@
+/* Combat Integration
+ *
+ * Optional rules tying a sequence to the combat turn order: steps may be limited to
+ * the attacking actor's turn, and what happens to the attacks still pending when the
+ * turn moves on is configurable. A sequence that rolled anything is recorded on the
+ * actor's combatant as its full-round action for the round, and the combat tracker
+ * marks that combatant.
+ */
+
+const SCOPE = "pf1-sequential-attacks";
+
+/**
+ * What happens to an open sequence when its actor's turn ends.
+ */
+export const TURN_END_BEHAVIORS = {
+  none: "PF1SEQ.TurnEnd.None",
+  skip: "PF1SEQ.TurnEnd.Skip",
+  cancel: "PF1SEQ.TurnEnd.Cancel",
+};
+
+/**
+ * The actor's combatant in the active, started combat.
+ * @param {Actor} actor
+ * @returns {Combatant|null}
+ */
+export function getActorCombatant(actor) {
+  const combat = game.combat;
+  if (!combat?.started || !actor) return null;
+  return combat.combatants.find((combatant) => combatant.actor?.uuid === actor.uuid) ?? null;
+}
+
+/**
+ * Whether the actor may take a sequence step now. Actors outside of combat always can.
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function isActorTurn(actor) {
+  if (!game.settings.get(SCOPE, "combatTurnOnly")) return true;
+  const combatant = getActorCombatant(actor);
+  return !combatant || game.combat.combatant?.id === combatant.id;
+}
+
+/**
+ * As isActorTurn(), warning the user when the step is refused.
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function checkActorTurn(actor) {
+  if (isActorTurn(actor)) return true;
+
+  ui.notifications.warn(game.i18n.format("PF1SEQ.Notify.NotYourTurn", { actor: actor.name }));
+  return false;
+}
+
+/**
+ * Record a sequence as the full-round action of its actor's combatant for this round.
+ * @param {SequentialAttackTracker} tracker
+ */
+export async function recordFullRound(tracker) {
+  const combatant = getActorCombatant(tracker.actor);
+  if (!combatant?.isOwner || !tracker.resolvedIndices.size) return;
+
+  await combatant.setFlag(SCOPE, "fullRound", {
+    round: game.combat.round,
+    title: tracker.displayTitle,
+    attacks: tracker.resolvedIndices.size,
+  });
+}
+
+/**
+ * Mark combatants that made a full attack this round in the combat tracker.
+ * @param {CombatTracker} app
+ * @param {HTMLElement} html
+ */
+export function decorateCombatTracker(app, html) {
+  const combat = app.viewed;
+  if (!combat?.started) return;
+
+  for (const combatant of combat.combatants) {
+    const fullRound = combatant.getFlag(SCOPE, "fullRound");
+    if (fullRound?.round !== combat.round) continue;
+
+    const name = html.querySelector(`[data-combatant-id="${combatant.id}"] .token-name`);
+    if (!name) continue;
+    const icon = document.createElement("i");
+    icon.classList.add("fas", "fa-swords", "seq-full-round");
+    icon.dataset.tooltip = game.i18n.format("PF1SEQ.Combat.FullRound", { title: fullRound.title, count: fullRound.attacks });
+    name.append(icon);
+  }
+}
+
+/**
+ * Where the active combat stands, for the actor's records.
+ * @param {Actor} actor
+ * @returns {{id: string, round: number, turn: number, scene: string|null}|null} Null outside of combat
+ */
+export function getCombatPosition(actor) {
+  if (!getActorCombatant(actor)) return null;
+  const combat = game.combat;
+  return { id: combat.id, round: combat.round, turn: combat.turn, scene: combat.scene?.name ?? null };
+}
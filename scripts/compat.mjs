@@ -0,0 +1,33 @@
+/* Automation Module Compatibility
+ *
+ * Some automation modules wrap ActionUse.prototype.process() for spells, consumables
+ * and class features and replace createAttackDialog() with their own flow. When one of
+ * them is active we decide on sequential mode before showing any dialog, so the
+ * non-sequential path can hand off to the wrapper chain untouched.
+ */
+
+/**
+ * IDs of modules known to take over the use flow of spell-like items.
+ */
+const AUTOMATION_MODULES = ["nevelas-automation-suite"];
+
+/**
+ * @returns {Module|null} The first active automation module, if any
+ */
+export function getActiveAutomationModule() {
+  for (const id of AUTOMATION_MODULES) {
+    const module = game.modules.get(id);
+    if (module?.active) return module;
+  }
+  return null;
+}
+
+/**
+ * Whether the item is a spell, consumable or class feature, i.e. the types automation
+ * modules handle themselves.
+ * @param {Item} item
+ */
+export function isSpellLike(item) {
+  const type = item?.type;
+  return type === "spell" || type === "consumable" || (type === "feat" && item.subType === "classFeat");
+}
@@ -0,0 +1,260 @@
+/* Layered Sequential Mode Configuration
+ *
+ * Whether a full attack is resolved sequentially is decided by the most specific
+ * level that sets a mode other than "default":
+ *
+ *   action flag > item flag > actor flag > user setting > world setting
+ *
+ * Action overrides are stored on the item, keyed by action ID, since actions have
+ * no flags of their own.
+ */
+
+const SCOPE = "pf1-sequential-attacks";
+
+/**
+ * Available modes, as labels to localize. "default" defers to the next, less specific level.
+ */
+export const SEQUENTIAL_MODES = {
+  default: "PF1SEQ.Modes.Default",
+  always: "PF1SEQ.Modes.Always",
+  never: "PF1SEQ.Modes.Never",
+  ask: "PF1SEQ.Modes.Ask",
+};
+
+/**
+ * Mode choices without the "default" entry, for the world setting which has nothing to defer to.
+ */
+export const WORLD_MODES = Object.fromEntries(Object.entries(SEQUENTIAL_MODES).filter(([k]) => k !== "default"));
+
+export function getActorMode(actor) {
+  return actor?.getFlag(SCOPE, "mode") ?? "default";
+}
+
+export function getItemMode(item) {
+  return item?.getFlag(SCOPE, "mode") ?? "default";
+}
+
+export function getActionMode(item, actionId) {
+  return item?.getFlag(SCOPE, "actionModes")?.[actionId] ?? "default";
+}
+
+/**
+ * Resolve the effective sequential mode for an action.
+ * @param {object} options
+ * @param {Actor} [options.actor]
+ * @param {Item} [options.item]
+ * @param {ItemAction} [options.action]
+ * @returns {"always"|"never"|"ask"}
+ */
+export function getSequentialMode({ actor, item, action } = {}) {
+  const levels = [
+    getActionMode(item, action?.id),
+    getItemMode(item),
+    getActorMode(actor),
+    game.settings.get(SCOPE, "userMode"),
+    game.settings.get(SCOPE, "worldMode"),
+  ];
+  return levels.find((mode) => mode && mode !== "default") ?? "never";
+}
+
+/**
+ * Whether the actor, item or action itself turns sequential mode off. A "never" from the
+ * user or world setting is only a preference, which the attack dialog can still override.
+ * @param {object} options
+ * @param {Actor} [options.actor]
+ * @param {Item} [options.item]
+ * @param {ItemAction} [options.action]
+ * @returns {boolean}
+ */
+export function isSequentialDisabled({ actor, item, action } = {}) {
+  const levels = [getActionMode(item, action?.id), getItemMode(item), getActorMode(actor)];
+  return levels.find((mode) => mode !== "default") === "never";
+}
+
+/**
+ * Carry over the pre-layering client toggle so existing users keep sequential mode on.
+ */
+export async function migrateLegacySetting() {
+  if (game.settings.get(SCOPE, "userMode") !== "default") return;
+  if (!game.settings.get(SCOPE, "sequentialAttacks")) return;
+
+  await game.settings.set(SCOPE, "userMode", "always");
+  await game.settings.set(SCOPE, "sequentialAttacks", false);
+}
+
+// ---- Per-document Configuration ---- //
+
+function _modeSelect(name, selected) {
+  const options = Object.entries(SEQUENTIAL_MODES)
+    .map(([value, label]) => `<option value="${value}"${value === selected ? " selected" : ""}>${game.i18n.localize(label)}</option>`)
+    .join("");
+  return `<select name="${name}">${options}</select>`;
+}
+
+/**
+ * Prompt for the actor-level mode.
+ * @param {Actor} actor
+ */
+export async function configureActor(actor) {
+  const content = `<div class="seq-config-form">
+    <p class="hint">${game.i18n.localize("PF1SEQ.Config.ActorHint")}</p>
+    <div class="form-group">
+      <label>${game.i18n.localize("PF1SEQ.Config.Label")}</label>
+      ${_modeSelect("mode", getActorMode(actor))}
+    </div>
+  </div>`;
+
+  const mode = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.format("PF1SEQ.Config.Title", { name: actor.name }) },
+    classes: ["sequential-attack-dialog", "seq-config-dialog"],
+    content,
+    ok: {
+      label: "PF1SEQ.Config.Save",
+      callback: (event, button) => button.form.elements.mode.value,
+    },
+    rejectClose: false,
+  });
+  if (!mode) return;
+
+  if (mode === "default") await actor.unsetFlag(SCOPE, "mode");
+  else await actor.setFlag(SCOPE, "mode", mode);
+}
+
+/**
+ * Prompt for the item-level mode and one mode per attack action.
+ * @param {Item} item
+ */
+export async function configureItem(item) {
+  const actions = [...(item.actions ?? [])].filter((action) => action.hasAttack);
+
+  let content = `<div class="seq-config-form">
+    <p class="hint">${game.i18n.localize("PF1SEQ.Config.ItemHint")}</p>
+    <div class="form-group">
+      <label>${game.i18n.localize("PF1SEQ.Config.Item")}</label>
+      ${_modeSelect("mode", getItemMode(item))}
+    </div>`;
+  for (const action of actions) {
+    content += `<div class="form-group">
+      <label>${foundry.utils.escapeHTML(action.name)}</label>
+      ${_modeSelect(`actionModes.${action.id}`, getActionMode(item, action.id))}
+    </div>`;
+  }
+  content += `</div>`;
+
+  const data = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.format("PF1SEQ.Config.Title", { name: item.name }) },
+    classes: ["sequential-attack-dialog", "seq-config-dialog"],
+    content,
+    ok: {
+      label: "PF1SEQ.Config.Save",
+      callback: (event, button) => new foundry.applications.ux.FormDataExtended(button.form).object,
+    },
+    rejectClose: false,
+  });
+  if (!data) return;
+
+  const updates = {};
+  if (data.mode === "default") updates[`flags.${SCOPE}.-=mode`] = null;
+  else updates[`flags.${SCOPE}.mode`] = data.mode;
+  for (const action of actions) {
+    const mode = data[`actionModes.${action.id}`];
+    if (mode === "default") updates[`flags.${SCOPE}.actionModes.-=${action.id}`] = null;
+    else updates[`flags.${SCOPE}.actionModes.${action.id}`] = mode;
+  }
+  await item.update(updates);
+}
+
+// ---- Overrides Menu ---- //
+
+/**
+ * Settings menu listing every sequential mode override currently in effect.
+ */
+export class SequentialOverridesMenu extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "pf1-sequential-attacks-overrides",
+    classes: ["sequential-attack-dialog", "seq-overrides-menu"],
+    window: { title: "PF1SEQ.Settings.Overrides.Name", icon: "fas fa-list-ol" },
+    position: { width: 460, height: "auto" },
+    actions: {
+      clearOverride: SequentialOverridesMenu.#onClearOverride,
+    },
+  };
+
+  /**
+   * Collect the overrides visible to the current user.
+   * @returns {object[]}
+   */
+  _collectOverrides() {
+    const rows = [];
+    const addItem = (item, owner) => {
+      const itemMode = getItemMode(item);
+      if (itemMode !== "default") rows.push({ level: "Item", name: `${owner}${item.name}`, mode: itemMode, uuid: item.uuid });
+      for (const [actionId, mode] of Object.entries(item.getFlag(SCOPE, "actionModes") ?? {})) {
+        const action = item.actions?.get(actionId);
+        rows.push({
+          level: "Action",
+          name: `${owner}${item.name} — ${action?.name ?? actionId}`,
+          mode,
+          uuid: item.uuid,
+          actionId,
+        });
+      }
+    };
+
+    for (const actor of game.actors) {
+      if (!actor.testUserPermission(game.user, "OBSERVER")) continue;
+      const actorMode = getActorMode(actor);
+      if (actorMode !== "default") rows.push({ level: "Actor", name: actor.name, mode: actorMode, uuid: actor.uuid });
+      for (const item of actor.items) addItem(item, `${actor.name}: `);
+    }
+    for (const item of game.items) {
+      if (item.testUserPermission(game.user, "OBSERVER")) addItem(item, "");
+    }
+    return rows;
+  }
+
+  async _renderHTML() {
+    const worldMode = game.settings.get(SCOPE, "worldMode");
+    const userMode = game.settings.get(SCOPE, "userMode");
+    const userEffective = userMode === "default" ? worldMode : userMode;
+
+    const i18n = game.i18n;
+    const effective = i18n.format("PF1SEQ.Config.Effective", { mode: i18n.localize(WORLD_MODES[userEffective]) });
+
+    let html = `<div class="seq-overrides">`;
+    html += `<p><strong>${i18n.localize("PF1SEQ.Config.WorldDefault")}</strong> ${i18n.localize(WORLD_MODES[worldMode])}</p>`;
+    html += `<p><strong>${i18n.localize("PF1SEQ.Config.YourSetting")}</strong> ${i18n.localize(SEQUENTIAL_MODES[userMode])} ${effective}</p>`;
+
+    const rows = this._collectOverrides();
+    if (!rows.length) {
+      html += `<p class="hint">${i18n.localize("PF1SEQ.Config.NoOverrides")}</p>`;
+    } else {
+      const headers = ["Level", "Document", "Mode"].map((key) => `<th>${i18n.localize(`PF1SEQ.Config.${key}`)}</th>`);
+      html += `<table class="seq-overrides-table"><thead><tr>${headers.join("")}<th></th></tr></thead><tbody>`;
+      for (const row of rows) {
+        const doc = fromUuidSync(row.uuid);
+        const clear = doc?.isOwner
+          ? `<a data-action="clearOverride" data-uuid="${row.uuid}" data-action-id="${row.actionId ?? ""}" data-tooltip="${i18n.localize("PF1SEQ.Config.ClearOverride")}"><i class="fas fa-times"></i></a>`
+          : "";
+        const mode = SEQUENTIAL_MODES[row.mode] ? i18n.localize(SEQUENTIAL_MODES[row.mode]) : row.mode;
+        html += `<tr><td>${i18n.localize(`PF1SEQ.Config.Level${row.level}`)}</td><td>${foundry.utils.escapeHTML(row.name)}</td><td>${mode}</td><td>${clear}</td></tr>`;
+      }
+      html += `</tbody></table>`;
+    }
+    html += `</div>`;
+    return html;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  static async #onClearOverride(event, target) {
+    const doc = await fromUuid(target.dataset.uuid);
+    if (!doc) return;
+    const actionId = target.dataset.actionId;
+    if (actionId) await doc.update({ [`flags.${SCOPE}.actionModes.-=${actionId}`]: null });
+    else await doc.unsetFlag(SCOPE, "mode");
+    this.render();
+  }
+}
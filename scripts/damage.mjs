@@ -0,0 +1,63 @@
+/* Damage Application
+ *
+ * Applies a resolved attack's damage to its targets through the system's damage
+ * application, which handles DR and energy resistance. The damage actually dealt is
+ * measured from each target's hit points, so it reflects any reduction.
+ */
+
+/**
+ * Damage totals of a rolled attack, recorded on its result when it is resolved.
+ * @param {ChatAttack} chatAttack
+ * @returns {{normal: number, critical: number}}
+ */
+export function getDamageTotals(chatAttack) {
+  const normal = chatAttack.damage?.total ?? 0;
+  const critical = chatAttack.hasCritConfirm ? normal + (chatAttack.critDamage?.total ?? 0) : normal;
+  return { normal, critical };
+}
+
+/**
+ * Current hit points, including temporary hit points, minus nonlethal damage.
+ */
+function _effectiveHP(actor) {
+  const hp = actor.system.attributes?.hp ?? {};
+  return (hp.value ?? 0) + (hp.temp ?? 0) - (hp.nonlethal ?? 0);
+}
+
+/**
+ * Apply an attack's damage to the targets it hit.
+ * @param {object} result The attack's evaluated result (see evaluation.mjs)
+ * @param {object} options
+ * @param {boolean} [options.critical] Apply critical damage to targets the crit was confirmed against
+ * @param {number} [options.ratio] Multiplier for the damage, e.g. 0.5 or 2
+ * @param {ChatMessage|null} [options.message] The attack's chat card, for damage types
+ * @param {boolean} [options.forceDialog] Open the system's damage dialog to adjust DR/ER
+ * @returns {Promise<Record<string, number>>} Damage dealt per target token UUID
+ */
+export async function applyAttackDamage(result, { critical = false, ratio = 1, message = null, forceDialog = true } = {}) {
+  const targets = result.targets.filter((t) => (critical ? t.confirmed : t.hit));
+  const tokens = targets.map((t) => fromUuidSync(t.uuid)).filter((token) => token?.actor?.isOwner);
+  if (!tokens.length) {
+    ui.notifications.warn(game.i18n.localize("PF1SEQ.Notify.NoDamageTargets"));
+    return {};
+  }
+
+  const base = critical ? result.critical : result.normal;
+  const value = Math.floor(base * ratio);
+  const actors = tokens.map((token) => token.actor);
+  const before = new Map(actors.map((actor) => [actor, _effectiveHP(actor)]));
+
+  await pf1.documents.actor.ActorPF.applyDamage(value, {
+    targets: actors,
+    message,
+    critMult: critical ? result.critMult ?? 1 : 0,
+    forceDialog,
+  });
+
+  const dealt = {};
+  for (const token of tokens) {
+    const amount = before.get(token.actor) - _effectiveHP(token.actor);
+    if (amount) dealt[token.uuid] = amount;
+  }
+  return dealt;
+}
@@ -0,0 +1,104 @@
+/* Attack Evaluation
+ *
+ * Reads the rolls of a resolved ChatAttack and compares them against the AC of each
+ * target, so the tracker can show hit/miss without checking every chat card.
+ */
+
+/**
+ * Which AC an action's attacks are compared against for a given target.
+ * @param {ItemAction} action
+ * @param {Actor} actor Target actor
+ * @returns {"normal"|"touch"|"flatFooted"}
+ */
+function _acType(action, actor) {
+  if (action.touch || ["msak", "rsak"].includes(action.actionType)) return "touch";
+  if (actor.statuses?.has("flatFooted")) return "flatFooted";
+  return "normal";
+}
+
+const AC_LABELS = {
+  normal: "PF1SEQ.Result.AC",
+  touch: "PF1SEQ.Result.Touch",
+  flatFooted: "PF1SEQ.Result.FlatFooted",
+};
+
+/**
+ * Evaluate a rolled attack against its targets.
+ * @param {ChatAttack} chatAttack
+ * @param {ItemAction} action
+ * @param {Token[]} targets Tokens the attack was rolled against
+ * @returns {object|null} Plain result data, or null if the attack has no attack roll
+ */
+export function evaluateAttack(chatAttack, action, targets) {
+  const attack = chatAttack.attack;
+  if (!attack) return null;
+
+  const d20 = attack.d20?.total ?? null;
+  const total = attack.total;
+  const nat20 = d20 === 20;
+  const nat1 = d20 === 1;
+  const threat = !!chatAttack.hasCritConfirm;
+  const confirmTotal = threat ? chatAttack.critConfirm?.total ?? null : null;
+  const confirmD20 = threat ? chatAttack.critConfirm?.d20?.total ?? null : null;
+
+  const results = [];
+  for (const token of targets) {
+    const actor = token.actor;
+    if (!actor) continue;
+    const acType = _acType(action, actor);
+    const ac = actor.system.attributes?.ac?.[acType]?.total;
+    if (ac === undefined) continue;
+
+    const hit = !nat1 && (nat20 || total >= ac);
+    const confirmed = hit && threat && confirmD20 !== 1 && (confirmD20 === 20 || confirmTotal >= ac);
+    results.push({
+      uuid: token.document?.uuid ?? token.uuid,
+      name: token.name,
+      acType,
+      ac,
+      hit,
+      confirmed,
+    });
+  }
+
+  return { d20, total, nat20, nat1, threat, confirmTotal, targets: results };
+}
+
+/**
+ * Render a result as the detail line of a tracker row.
+ * @param {object} result As returned by evaluateAttack()
+ * @returns {string} HTML
+ */
+export function formatResult(result) {
+  let d20Class = "";
+  if (result.nat20) d20Class = " seq-nat20";
+  else if (result.nat1) d20Class = " seq-nat1";
+
+  const i18n = game.i18n;
+  let html = `<span class="seq-result-roll${d20Class}" data-tooltip="${i18n.localize("PF1SEQ.Result.NaturalRoll")}">d20 ${result.d20 ?? "—"}</span>`;
+  html += `<span class="seq-result-total">= ${result.total}</span>`;
+  if (result.threat) {
+    const threat = i18n.format("PF1SEQ.Result.Threat", { total: result.confirmTotal ?? "—" });
+    html += `<span class="seq-result-threat" data-tooltip="${i18n.localize("PF1SEQ.Result.ThreatTooltip")}">${threat}</span>`;
+  }
+  if (result.misfire) html += `<span class="seq-result-misfire">${i18n.localize("PF1SEQ.Result.Misfire")}</span>`;
+
+  for (const target of result.targets) html += formatTargetOutcome(target, { ac: true });
+  return html;
+}
+
+/**
+ * Render how an attack went against one of its targets.
+ * Shared by the tracker rows, the summary card and the history window.
+ * @param {object} target One of evaluateAttack()'s targets
+ * @param {object} [options]
+ * @param {boolean} [options.ac=false] Show the AC the attack was compared against
+ * @returns {string} HTML
+ */
+export function formatTargetOutcome(target, { ac = false } = {}) {
+  const outcome = target.confirmed ? "Crit" : target.hit ? "Hit" : "Miss";
+  let name = foundry.utils.escapeHTML(target.name);
+  if (ac) name += ` (${game.i18n.localize(AC_LABELS[target.acType])} ${target.ac})`;
+  const label = game.i18n.localize(`PF1SEQ.Result.${outcome}`);
+  return `<span class="seq-result-target seq-${outcome.toLowerCase()}">${name}: ${label}</span>`;
+}
@@ -0,0 +1,362 @@
+/* Sequence History
+ *
+ * Every sequence that completes or is cancelled leaves an entry on its actor: the item and
+ * action, when it ran and in which combat round, and how each attack went — target, roll,
+ * hit or miss, damage — along with the attacks that were skipped and why the sequence was
+ * cancelled. Only the latest entries are kept (the "historyLimit" setting). The history
+ * window lists them per actor, filtered by combat, and exports them as JSON or CSV.
+ */
+
+import { formatTargetOutcome } from "./evaluation.mjs";
+
+const SCOPE = "pf1-sequential-attacks";
+const FLAG_KEY = "history";
+
+/**
+ * Who or what cancelled a sequence, as set by SequentialAttackTracker#_cancel().
+ */
+export const CANCEL_REASONS = {
+  user: "PF1SEQ.History.Reasons.User",
+  gm: "PF1SEQ.History.Reasons.GM",
+  turnEnd: "PF1SEQ.History.Reasons.TurnEnd",
+  api: "PF1SEQ.History.Reasons.API",
+};
+
+/**
+ * @param {Actor} actor
+ * @returns {object[]} The actor's history entries, oldest first
+ */
+export function getSequenceHistory(actor) {
+  return actor?.getFlag(SCOPE, FLAG_KEY) ?? [];
+}
+
+export async function clearSequenceHistory(actor) {
+  if (!getSequenceHistory(actor).length) return;
+  await actor.unsetFlag(SCOPE, FLAG_KEY);
+}
+
+/**
+ * Describe one attack of a sequence as plain data.
+ * @param {SequentialAttackTracker} tracker
+ * @param {object} attack An attack of the tracker's summary
+ * @returns {object}
+ */
+function _recordAttack(tracker, attack) {
+  const atk = tracker.allAttacks[attack.index];
+  const { item, action } = tracker.sourceOf(attack.index).actionUse;
+  const result = attack.result;
+  const ledger = tracker.ledgerOf(atk);
+
+  const targets = result
+    ? result.targets.map(({ name, acType, ac, hit, confirmed }) => ({ name, acType, ac, hit, confirmed }))
+    : attack.targets.map((uuid) => ({ name: fromUuidSync(uuid)?.name ?? "?" }));
+  const confirmed = !!result?.targets.some((target) => target.confirmed);
+
+  return {
+    label: atk.label,
+    item: item.name,
+    action: action.name,
+    status: attack.status,
+    targets,
+    d20: result?.d20 ?? null,
+    total: result?.total ?? null,
+    threat: !!result?.threat,
+    confirmTotal: result?.confirmTotal ?? null,
+    misfire: !!result?.misfire,
+    damage: result?.normal ?? null,
+    critical: confirmed ? result.critical ?? null : null,
+    ammo: ledger?.ammo ? tracker.actor.items.get(ledger.ammoId)?.name ?? "?" : null,
+    messageId: attack.messageId,
+  };
+}
+
+/**
+ * Add a finished sequence to its actor's history.
+ * @param {SequentialAttackTracker} tracker
+ * @param {"completed"|"cancelled"} outcome
+ */
+export async function recordSequenceHistory(tracker, outcome) {
+  const limit = game.settings.get(SCOPE, "historyLimit");
+  const actor = tracker.actor;
+  if (!limit || !actor.isOwner) return;
+
+  const summary = tracker.summarize();
+  const entry = {
+    id: foundry.utils.randomID(),
+    timestamp: tracker.started?.timestamp ?? Date.now(),
+    userId: game.user.id,
+    userName: game.user.name,
+    title: summary.title,
+    sources: tracker.sources.map(({ actionUse }) => ({
+      itemId: actionUse.item.id,
+      item: actionUse.item.name,
+      actionId: actionUse.action.id,
+      action: actionUse.action.name,
+    })),
+    combat: tracker.started?.combat ?? null,
+    outcome,
+    reason: outcome === "cancelled" ? tracker.cancelReason ?? "user" : null,
+    attacks: summary.attacks.map((attack) => _recordAttack(tracker, attack)),
+    damageDealt: Object.values(summary.damageDealt),
+  };
+
+  try {
+    // The array is replaced wholesale, dropping the oldest entries past the limit
+    await actor.setFlag(SCOPE, FLAG_KEY, [...getSequenceHistory(actor), entry].slice(-limit));
+  } catch (err) {
+    console.error("pf1-sequential-attacks | Failed to record sequence history:", err);
+    return;
+  }
+  foundry.applications.instances?.get(_windowId(actor))?.render();
+}
+
+// ---- Export ---- //
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "title",
+  "combat",
+  "round",
+  "outcome",
+  "reason",
+  "attack",
+  "item",
+  "action",
+  "status",
+  "targets",
+  "d20",
+  "total",
+  "confirmTotal",
+  "misfire",
+  "damage",
+  "critical",
+  "ammo",
+];
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break.
+ * @param {*} value
+ * @returns {string}
+ */
+function _csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Build a CSV table of history entries, one row per attack.
+ * @param {object[]} entries
+ * @returns {string}
+ */
+export function historyToCSV(entries) {
+  const rows = [CSV_COLUMNS];
+  for (const entry of entries) {
+    for (const attack of entry.attacks) {
+      const targets = attack.targets.map((target) => {
+        if (target.hit === undefined) return target.name;
+        const outcome = target.confirmed ? "crit" : target.hit ? "hit" : "miss";
+        return `${target.name} (AC ${target.ac}: ${outcome})`;
+      });
+      rows.push([
+        new Date(entry.timestamp).toISOString(),
+        entry.title,
+        entry.combat?.id ?? "",
+        entry.combat?.round ?? "",
+        entry.outcome,
+        entry.reason ?? "",
+        attack.label,
+        attack.item,
+        attack.action,
+        attack.status,
+        targets.join("; "),
+        attack.d20,
+        attack.total,
+        attack.confirmTotal,
+        attack.misfire ? "yes" : "",
+        attack.damage,
+        attack.critical,
+        attack.ammo,
+      ]);
+    }
+  }
+  return rows.map((row) => row.map(_csvField).join(",")).join("\n");
+}
+
+// ---- History Window ---- //
+
+function _windowId(actor) {
+  return `pf1-sequential-attacks-history-${actor.id}`;
+}
+
+/**
+ * Lists an actor's past sequences, newest first.
+ */
+export class SequenceHistory extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    classes: ["sequential-attack-dialog", "seq-history"],
+    window: { title: "PF1SEQ.History.Title", icon: "fas fa-scroll", resizable: true },
+    position: { width: 520, height: 600 },
+    actions: {
+      exportJSON: SequenceHistory.#onExportJSON,
+      exportCSV: SequenceHistory.#onExportCSV,
+      clearHistory: SequenceHistory.#onClearHistory,
+    },
+  };
+
+  constructor(actor, options = {}) {
+    super(options);
+    this.actor = actor;
+    /**
+     * Combat shown: "" for all entries, "none" for those outside combat, or a combat ID.
+     * @type {string}
+     */
+    this.combatFilter = "";
+  }
+
+  get title() {
+    return game.i18n.format("PF1SEQ.History.TitleActor", { actor: this.actor.name });
+  }
+
+  /**
+   * @returns {object[]} The entries passing the combat filter, oldest first
+   */
+  get entries() {
+    const entries = getSequenceHistory(this.actor);
+    if (!this.combatFilter) return entries;
+    if (this.combatFilter === "none") return entries.filter((entry) => !entry.combat);
+    return entries.filter((entry) => entry.combat?.id === this.combatFilter);
+  }
+
+  /**
+   * The combats in the history, as filter options.
+   */
+  _combatOptions() {
+    const option = (value, label) => `<option value="${value}"${value === this.combatFilter ? " selected" : ""}>${label}</option>`;
+    let html = option("", game.i18n.localize("PF1SEQ.History.AllEntries"));
+    html += option("none", game.i18n.localize("PF1SEQ.History.OutsideCombat"));
+
+    const combats = new Map();
+    for (const entry of getSequenceHistory(this.actor)) {
+      if (entry.combat && !combats.has(entry.combat.id)) combats.set(entry.combat.id, entry);
+    }
+    for (const [id, entry] of combats) {
+      const label = game.i18n.format("PF1SEQ.History.CombatOption", {
+        scene: entry.combat.scene ?? "?",
+        date: new Date(entry.timestamp).toLocaleString(game.i18n.lang),
+      });
+      html += option(id, foundry.utils.escapeHTML(label));
+    }
+    return html;
+  }
+
+  _renderAttack(attack) {
+    let html = `<li class="seq-history-attack seq-${attack.status}"><span class="seq-history-label">${foundry.utils.escapeHTML(attack.label)}</span>`;
+    if (attack.status === "skipped") return `${html}<span>${game.i18n.localize("PF1SEQ.Result.Skipped")}</span></li>`;
+    if (attack.status === "pending") return `${html}<span>${game.i18n.localize("PF1SEQ.Result.NotRolled")}</span></li>`;
+
+    if (attack.total !== null) html += `<span class="seq-history-roll">d20 ${attack.d20 ?? "—"} = <strong>${attack.total}</strong></span>`;
+    if (attack.threat) {
+      html += `<span class="seq-history-threat">${game.i18n.format("PF1SEQ.Result.Threat", { total: attack.confirmTotal ?? "—" })}</span>`;
+    }
+    if (attack.misfire) html += `<span class="seq-history-misfire">${game.i18n.localize("PF1SEQ.Result.Misfire")}</span>`;
+
+    // Targets of attacks without an attack roll have no outcome
+    const targets = attack.targets.map((target) =>
+      target.hit === undefined ? foundry.utils.escapeHTML(target.name) : formatTargetOutcome(target)
+    );
+    if (targets.length) html += `<span class="seq-history-targets">${targets.join(", ")}</span>`;
+    if (attack.damage) {
+      html += `<span class="seq-history-damage"><i class="fas fa-burst"></i> ${attack.damage}${attack.critical ? ` / ${attack.critical}` : ""}</span>`;
+    }
+    return `${html}</li>`;
+  }
+
+  _renderEntry(entry) {
+    const date = new Date(entry.timestamp).toLocaleString(game.i18n.lang);
+    let outcome = game.i18n.localize("PF1SEQ.History.Completed");
+    if (entry.outcome === "cancelled") {
+      const reason = game.i18n.localize(CANCEL_REASONS[entry.reason] ?? CANCEL_REASONS.user);
+      outcome = game.i18n.format("PF1SEQ.History.CancelledReason", { reason });
+    }
+
+    let html = `<section class="seq-history-entry" data-entry-id="${entry.id}">`;
+    html += `<header><span class="seq-history-title">${foundry.utils.escapeHTML(entry.title)}</span><span class="hint">${date}</span></header>`;
+    html += `<div class="seq-history-meta">`;
+    if (entry.combat) html += `<span>${game.i18n.format("PF1SEQ.History.Round", { round: entry.combat.round })}</span>`;
+    html += `<span class="seq-history-outcome seq-${entry.outcome}">${outcome}</span>`;
+    html += `<span class="hint">${foundry.utils.escapeHTML(entry.userName)}</span></div>`;
+    html += `<ol class="seq-history-attacks">${entry.attacks.map((attack) => this._renderAttack(attack)).join("")}</ol>`;
+    if (entry.damageDealt.length) {
+      const totals = entry.damageDealt
+        .map(({ name, total }) => `<span>${foundry.utils.escapeHTML(name)}: <strong>${total}</strong></span>`)
+        .join("");
+      html += `<div class="seq-history-totals"><i class="fas fa-heart-crack"></i> ${totals}</div>`;
+    }
+    return `${html}</section>`;
+  }
+
+  async _renderHTML() {
+    const entries = this.entries;
+    let html = `<div class="seq-history-controls">
+      <select name="combat">${this._combatOptions()}</select>
+      <button type="button" data-action="exportJSON"${entries.length ? "" : " disabled"}><i class="fas fa-file-code"></i> JSON</button>
+      <button type="button" data-action="exportCSV"${entries.length ? "" : " disabled"}><i class="fas fa-file-csv"></i> CSV</button>
+      <button type="button" data-action="clearHistory" data-tooltip="${game.i18n.localize("PF1SEQ.History.Clear")}"><i class="fas fa-trash"></i></button>
+    </div>`;
+    html += `<div class="seq-history-entries">`;
+    if (!entries.length) html += `<p class="hint">${game.i18n.localize("PF1SEQ.History.Empty")}</p>`;
+    for (const entry of [...entries].reverse()) html += this._renderEntry(entry);
+    html += `</div>`;
+    return html;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  _onRender(context, options) {
+    this.element.querySelector("select[name=combat]").addEventListener("change", (event) => {
+      this.combatFilter = event.target.value;
+      this.render();
+    });
+  }
+
+  /**
+   * @param {string} type File extension
+   */
+  _filename(type) {
+    const suffix = this.combatFilter ? `-${this.combatFilter}` : "";
+    return `sequence-history-${this.actor.name.slugify()}${suffix}.${type}`;
+  }
+
+  static #onExportJSON() {
+    const data = { actor: this.actor.name, actorUuid: this.actor.uuid, entries: this.entries };
+    foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), "application/json", this._filename("json"));
+  }
+
+  static #onExportCSV() {
+    foundry.utils.saveDataToFile(historyToCSV(this.entries), "text/csv", this._filename("csv"));
+  }
+
+  static async #onClearHistory() {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "PF1SEQ.History.ClearTitle" },
+      classes: ["sequential-attack-dialog"],
+      content: `<p>${game.i18n.format("PF1SEQ.History.ClearContent", { actor: foundry.utils.escapeHTML(this.actor.name) })}</p>`,
+      rejectClose: false,
+    });
+    if (!confirmed) return;
+    await clearSequenceHistory(this.actor);
+    this.combatFilter = "";
+    this.render();
+  }
+}
+
+/**
+ * Open the sequence history of an actor.
+ * @param {Actor} actor
+ */
+export function openSequenceHistory(actor) {
+  new SequenceHistory(actor, { id: _windowId(actor) }).render(true);
+}
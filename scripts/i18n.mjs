@@ -0,0 +1,21 @@
+/* Localization Helpers
+ *
+ * Strings live in lang/<code>.json under the PF1SEQ namespace and are looked up through
+ * game.i18n. Strings that depend on a count are objects keyed by plural category
+ * ("one", "other", and "zero", "few" or "many" where a language needs them), picked
+ * with the rules of the client's language.
+ */
+
+/**
+ * Format a string that varies with a count.
+ * @param {string} key Key of the plural object, e.g. "PF1SEQ.Tracker.Progress"
+ * @param {number} count
+ * @param {object} [data] Further format data; the count is available as {count}
+ * @returns {string}
+ */
+export function localizeCount(key, count, data = {}) {
+  const category = new Intl.PluralRules(game.i18n.lang).select(count);
+  // A translation may leave out categories its language shares with "other"
+  const pluralKey = game.i18n.has(`${key}.${category}`) ? `${key}.${category}` : `${key}.other`;
+  return game.i18n.format(pluralKey, { count, ...data });
+}
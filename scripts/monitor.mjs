@@ -0,0 +1,167 @@
+/* GM Sequence Monitor
+ *
+ * Open trackers report their progress over the module socket so the GM can see who is
+ * halfway through a full attack, pause or cancel a sequence that is holding up the
+ * table, and be warned when the combat turn moves on while one is still open.
+ */
+
+import { emitSocket, onSocketMessage } from "./socket.mjs";
+
+/**
+ * Sequences open on any client, keyed by actor UUID. Only filled in on GM clients.
+ * @type {Map<string, object>}
+ */
+export const activeSequences = new Map();
+
+/**
+ * Plain description of an open tracker, as shown in the monitor.
+ * @param {SequentialAttackTracker} tracker
+ * @returns {object}
+ */
+function _describe(tracker) {
+  const current = tracker.allAttacks[tracker.currentIndex];
+  const assigned = current ? tracker.targetsOf(current) : [];
+  const targets = assigned.length
+    ? assigned.map((uuid) => fromUuidSync(uuid)?.name ?? "?")
+    : [...game.user.targets].map((token) => token.name);
+
+  let remaining = 0;
+  for (let i = tracker.currentIndex; i < tracker.allAttacks.length; i++) {
+    if (!tracker.resolvedIndices.has(i) && !tracker.skippedIndices.has(i)) remaining++;
+  }
+
+  return {
+    actorUuid: tracker.actor.uuid,
+    actorName: tracker.actor.name,
+    userId: game.user.id,
+    userName: game.user.name,
+    title: tracker.displayTitle,
+    remaining,
+    total: tracker.allAttacks.length,
+    targets,
+  };
+}
+
+function _store(sequence) {
+  if (!game.user.isGM) return;
+  activeSequences.set(sequence.actorUuid, sequence);
+  _rerender();
+}
+
+function _forget({ actorUuid }) {
+  if (!game.user.isGM) return;
+  activeSequences.delete(actorUuid);
+  _rerender();
+}
+
+function _rerender() {
+  const monitor = foundry.applications.instances.get(SequenceMonitor.DEFAULT_OPTIONS.id);
+  if (monitor?.rendered) monitor.render();
+}
+
+/**
+ * Tell the GMs a tracker is open, or how far along it is.
+ * @param {SequentialAttackTracker} tracker
+ */
+export function reportSequence(tracker) {
+  emitSocket("sequenceStatus", _describe(tracker), { includeSelf: true });
+}
+
+/**
+ * Tell the GMs a tracker has closed.
+ * @param {SequentialAttackTracker} tracker
+ */
+export function reportSequenceEnd(tracker) {
+  emitSocket("sequenceEnd", { actorUuid: tracker.actor.uuid }, { includeSelf: true });
+}
+
+/**
+ * Start tracking reports from other clients, and ask the ones already running
+ * a sequence to report it.
+ */
+export function registerMonitor() {
+  onSocketMessage("sequenceStatus", _store);
+  onSocketMessage("sequenceEnd", _forget);
+  if (!game.user.isGM) return;
+
+  emitSocket("sequenceQuery", {});
+  // A client that disconnects can't report its sequence closing
+  Hooks.on("userConnected", (user, connected) => {
+    if (connected) return;
+    for (const [actorUuid, sequence] of activeSequences) {
+      if (sequence.userId === user.id) activeSequences.delete(actorUuid);
+    }
+    _rerender();
+  });
+}
+
+/**
+ * Warn the GM about sequences still open when the combat turn advances.
+ * @param {Combat} combat
+ * @param {object} changes
+ */
+export function warnOnTurnChange(combat, changes) {
+  if (!game.user.isGM || !activeSequences.size) return;
+  if (!("turn" in changes || "round" in changes)) return;
+
+  const names = [...activeSequences.values()].map((sequence) => sequence.actorName).join(", ");
+  ui.notifications.warn(game.i18n.format("PF1SEQ.Notify.TurnAdvanced", { names }));
+  openSequenceMonitor();
+}
+
+export function openSequenceMonitor() {
+  const monitor = foundry.applications.instances.get(SequenceMonitor.DEFAULT_OPTIONS.id) ?? new SequenceMonitor();
+  return monitor.render({ force: true });
+}
+
+/**
+ * Compact list of the sequences in progress, with pause and cancel controls.
+ */
+export class SequenceMonitor extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: "pf1-sequential-attacks-monitor",
+    classes: ["sequential-attack-dialog", "seq-monitor"],
+    window: { title: "PF1SEQ.Monitor.Title", icon: "fas fa-list-check" },
+    position: { width: 420, height: "auto" },
+    actions: {
+      pause: SequenceMonitor.#onControl,
+      cancel: SequenceMonitor.#onControl,
+    },
+  };
+
+  async _renderHTML() {
+    if (!activeSequences.size) return `<p class="hint">${game.i18n.localize("PF1SEQ.Monitor.Empty")}</p>`;
+
+    const headers = ["Actor", "Attack", "Left", "Target"].map((key) => `<th>${game.i18n.localize(`PF1SEQ.Monitor.${key}`)}</th>`);
+    let html = `<table class="seq-monitor-table"><thead><tr>${headers.join("")}<th></th></tr></thead><tbody>`;
+    const escape = foundry.utils.escapeHTML;
+    for (const sequence of activeSequences.values()) {
+      const controls =
+        `<a data-action="pause" data-actor-uuid="${sequence.actorUuid}" data-tooltip="${game.i18n.localize("PF1SEQ.Monitor.Pause")}"><i class="fas fa-pause"></i></a>` +
+        `<a data-action="cancel" data-actor-uuid="${sequence.actorUuid}" data-tooltip="${game.i18n.localize("PF1SEQ.Monitor.Cancel")}"><i class="fas fa-times"></i></a>`;
+      html += `<tr>
+        <td>${escape(sequence.actorName)}<div class="hint">${escape(sequence.userName)}</div></td>
+        <td>${escape(sequence.title)}</td>
+        <td>${sequence.remaining} / ${sequence.total}</td>
+        <td>${sequence.targets.map(escape).join(", ") || "—"}</td>
+        <td class="seq-monitor-controls">${controls}</td>
+      </tr>`;
+    }
+    html += `</tbody></table>`;
+    return html;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  static #onControl(event, target) {
+    const sequence = activeSequences.get(target.dataset.actorUuid);
+    if (!sequence) return;
+    emitSocket(
+      "sequenceControl",
+      { actorUuid: sequence.actorUuid, userId: sequence.userId, action: target.dataset.action },
+      { includeSelf: sequence.userId === game.user.id }
+    );
+  }
+}
@@ -0,0 +1,128 @@
+/* Sequence Persistence
+ *
+ * Stores the state of an in-progress sequential attack as an actor flag so it
+ * survives reloads, disconnects and an accidental close of the tracker. The
+ * stored state is plain data; the ActionUse is rebuilt from it on resume.
+ */
+
+const FLAG_SCOPE = "pf1-sequential-attacks";
+const FLAG_KEY = "sequence";
+
+/**
+ * Reduce a single ActionUse attack to the plain data needed to rebuild it.
+ * @param {object} atk
+ * @param {{source: number, localIndex: number}} info The attack's source and index within it
+ * @param {object|null} ledger What rolling the attack consumed, if it was rolled
+ * @param {object|null} result The evaluated roll, if it was rolled
+ * @param {string[]} targets Token UUIDs assigned to the attack, or that it was rolled against
+ */
+function _serializeAttack(atk, info, ledger, result, targets) {
+  return {
+    label: atk.label,
+    attackBonus: atk.attackBonus,
+    type: atk.type ?? null,
+    ammoId: atk.hasAmmo ? atk.ammo?.id ?? null : null,
+    chargeCost: atk.chargeCost ?? null,
+    source: info.source,
+    localIndex: info.localIndex,
+    ledger,
+    result,
+    targets,
+  };
+}
+
+/**
+ * Build a plain attack object from serialized data. Only the fields the tracker
+ * and ChatAttack rely on are restored.
+ */
+export function deserializeAttack(data) {
+  return {
+    label: data.label,
+    attackBonus: data.attackBonus,
+    type: data.type ?? undefined,
+    ammo: data.ammoId ? { id: data.ammoId } : null,
+    hasAmmo: !!data.ammoId,
+    chargeCost: data.chargeCost,
+  };
+}
+
+/**
+ * Reduce a sequence source to the item, action and dialog choices needed to rebuild its ActionUse.
+ * @param {object} source
+ * @param {number} sourceIndex
+ */
+function _serializeSource(source, sourceIndex) {
+  const actionUse = source.actionUse;
+  const shared = actionUse.shared;
+  return {
+    itemId: actionUse.item.id,
+    actionId: actionUse.action.id,
+    formData: foundry.utils.deepClone(shared.formData ?? {}),
+    powerAttack: !!shared.powerAttack,
+    conditionals: [...(shared.conditionals ?? [])],
+    secondary: !!source.secondary,
+    useConsumed: !!source.useConsumed,
+    dropped: source.dropped ?? [],
+    // A list rather than an object keyed by option, so a flag update replaces it outright
+    setAside: Object.entries(source.setAside ?? {}).map(([name, { attacks, attackBonus }]) => ({
+      name,
+      attacks: attacks.map((atk) =>
+        _serializeAttack(atk, { source: sourceIndex, localIndex: source.attacks.indexOf(atk) }, null, null, [])
+      ),
+      attackBonus,
+    })),
+  };
+}
+
+/**
+ * Snapshot the current state of a tracker.
+ * @param {SequentialAttackTracker} tracker
+ * @returns {object} Plain state suitable for storing in a flag
+ */
+export function serializeSequence(tracker) {
+  const actionUse = tracker.actionUse;
+  return {
+    title: tracker.title ?? null,
+    routineId: tracker.routineId ?? null,
+    tokenUuid: actionUse.token?.document?.uuid ?? actionUse.token?.uuid ?? null,
+    userId: game.user.id,
+    rollMode: actionUse.shared.rollMode ?? null,
+    sources: tracker.sources.map(_serializeSource),
+    attacks: tracker.allAttacks.map((atk, idx) =>
+      _serializeAttack(atk, tracker.attackInfo(idx), tracker.ledgerOf(atk), tracker.resultOf(atk), tracker.targetsOf(atk))
+    ),
+    currentIndex: tracker.currentIndex,
+    resolved: [...tracker.resolvedIndices],
+    skipped: [...tracker.skippedIndices],
+    templateUuid: tracker.templateUuid ?? null,
+    // Token UUIDs contain dots, which a flag update would expand into nested objects
+    damageDealt: Object.entries(tracker.damageDealt).map(([uuid, { name, total }]) => ({ uuid, name, total })),
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * @param {Actor} actor
+ * @returns {object|null} The stored sequence state, if any
+ */
+export function getSequenceState(actor) {
+  return actor?.getFlag(FLAG_SCOPE, FLAG_KEY) ?? null;
+}
+
+/**
+ * Whether the actor has a paused or interrupted sequence the current user may resume.
+ */
+export function canResumeSequence(actor) {
+  const state = getSequenceState(actor);
+  if (!state) return false;
+  return actor.isOwner && (state.userId === game.user.id || game.user.isGM);
+}
+
+export async function saveSequenceState(actor, state) {
+  await actor.setFlag(FLAG_SCOPE, FLAG_KEY, state);
+}
+
+export async function clearSequenceState(actor) {
+  if (!getSequenceState(actor)) return;
+  await actor.unsetFlag(FLAG_SCOPE, FLAG_KEY);
+}
@@ -0,0 +1,338 @@
+/* Attack Routines
+ *
+ * An attack routine is an ordered list of item/action pairs saved on an actor — e.g. a
+ * creature's bite, claw, claw, gore, or a two-weapon fighter's main and off hand — run
+ * through a single tracker as one sequence. Each entry becomes a source of the sequence.
+ *
+ * Natural attacks are made secondary (attack penalty and reduced ability damage) when the
+ * entry says so, or when the routine also contains manufactured weapon attacks.
+ */
+
+import {
+  applySecondaryPenalty,
+  canStartSequence,
+  createActionUse,
+  prepareFullAttack,
+  prepareSequentialUse,
+  runSequence,
+} from "./sequence.mjs";
+
+const SCOPE = "pf1-sequential-attacks";
+
+/**
+ * @param {string} key Key under PF1SEQ.Routines
+ * @returns {string}
+ */
+function _localize(key) {
+  return game.i18n.localize(`PF1SEQ.Routines.${key}`);
+}
+
+/**
+ * @param {Actor} actor
+ * @returns {object[]} The actor's routines, in creation order
+ */
+export function getRoutines(actor) {
+  const routines = Object.values(actor?.getFlag(SCOPE, "routines") ?? {});
+  return routines.sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
+}
+
+/**
+ * @param {Actor} actor
+ * @param {string} routineId
+ * @returns {object|null}
+ */
+export function getRoutine(actor, routineId) {
+  return actor?.getFlag(SCOPE, "routines")?.[routineId] ?? null;
+}
+
+export async function saveRoutine(actor, routine) {
+  // Entries are replaced wholesale, so the array never merges with a previous version
+  await actor.update({ [`flags.${SCOPE}.routines.${routine.id}`]: routine });
+}
+
+export async function deleteRoutine(actor, routineId) {
+  await actor.update({ [`flags.${SCOPE}.routines.-=${routineId}`]: null });
+}
+
+function _isNatural(item) {
+  return item.type === "attack" && item.subType === "natural";
+}
+
+/**
+ * Prepare every entry of a routine and run them through one tracker.
+ * @param {Actor} actor
+ * @param {string} routineId
+ * @returns {Promise<ActionUse|void>}
+ */
+export async function runRoutine(actor, routineId) {
+  const routine = getRoutine(actor, routineId);
+  if (!routine) {
+    const name = actor?.name ?? game.i18n.localize("PF1SEQ.Routines.UnknownActor");
+    ui.notifications.error(game.i18n.format("PF1SEQ.Routines.NotFound", { actor: name, id: routineId }));
+    return;
+  }
+
+  if (!(await canStartSequence(actor))) return;
+
+  const entries = routine.entries
+    .map((entry) => {
+      const item = actor.items.get(entry.itemId);
+      const action = item?.actions?.get(entry.actionId);
+      return action?.hasAttack ? { ...entry, item, action } : null;
+    })
+    .filter((entry) => entry);
+  if (entries.length < routine.entries.length) {
+    ui.notifications.warn(game.i18n.format("PF1SEQ.Routines.EntriesMissing", { name: routine.name }));
+  }
+
+  const hasManufactured = entries.some((entry) => !_isNatural(entry.item));
+  const token = actor.token?.object ?? actor.getActiveTokens()[0] ?? null;
+
+  const sources = [];
+  for (const { item, action, secondary, maxAttacks } of entries) {
+    const actionUse = createActionUse(item, action, { token });
+    const shared = actionUse.shared;
+
+    // No dialog per entry: every entry makes a full attack
+    if (await prepareFullAttack(actionUse)) continue;
+    const prepErr = await prepareSequentialUse(actionUse, { fullAttack: true });
+    if (prepErr) continue;
+    await actionUse.getTargets();
+
+    // Actions already set up as secondary get the penalty from the system itself
+    const forceSecondary = _isNatural(item) && action.naturalAttack?.primaryAttack !== false && (secondary || hasManufactured);
+    if (forceSecondary) applySecondaryPenalty(actionUse);
+
+    let attacks = [...shared.attacks];
+    if (maxAttacks > 0) attacks = attacks.slice(0, maxAttacks);
+    sources.push({ actionUse, attacks, secondary: forceSecondary, dropped: shared.droppedAttacks });
+  }
+
+  if (!sources.length) {
+    ui.notifications.error(game.i18n.format("PF1SEQ.Routines.NoneUsable", { name: routine.name }));
+    return;
+  }
+
+  return runSequence(sources, { title: routine.name, routineId: routine.id });
+}
+
+// ---- Routine Manager ---- //
+
+/**
+ * Lists an actor's attack routines and edits them.
+ */
+export class RoutineManager extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    classes: ["sequential-attack-dialog", "seq-routine-manager"],
+    window: { title: "PF1SEQ.Routines.Title", icon: "fas fa-list-ol" },
+    position: { width: 480, height: "auto" },
+    actions: {
+      runRoutine: RoutineManager.#onRunRoutine,
+      newRoutine: RoutineManager.#onNewRoutine,
+      editRoutine: RoutineManager.#onEditRoutine,
+      deleteRoutine: RoutineManager.#onDeleteRoutine,
+      createMacro: RoutineManager.#onCreateMacro,
+      addEntry: RoutineManager.#onAddEntry,
+      moveEntry: RoutineManager.#onMoveEntry,
+      removeEntry: RoutineManager.#onRemoveEntry,
+      saveRoutine: RoutineManager.#onSaveRoutine,
+      cancelEdit: RoutineManager.#onCancelEdit,
+    },
+  };
+
+  constructor(actor, options = {}) {
+    super(options);
+    this.actor = actor;
+    /**
+     * Routine being edited, or null when listing routines.
+     * @type {object|null}
+     */
+    this._draft = null;
+  }
+
+  get title() {
+    return game.i18n.format("PF1SEQ.Routines.TitleActor", { actor: this.actor.name });
+  }
+
+  /**
+   * Every attack action on the actor, as select options.
+   */
+  _attackOptions(selected) {
+    let html = "";
+    for (const item of this.actor.items) {
+      for (const action of item.actions ?? []) {
+        if (!action.hasAttack) continue;
+        const value = `${item.id}.${action.id}`;
+        const label = item.actions.size > 1 ? `${item.name} (${action.name})` : item.name;
+        html += `<option value="${value}"${value === selected ? " selected" : ""}>${foundry.utils.escapeHTML(label)}</option>`;
+      }
+    }
+    return html;
+  }
+
+  async _renderHTML() {
+    return this._draft ? this._renderEditor() : this._renderList();
+  }
+
+  _renderList() {
+    const routines = getRoutines(this.actor);
+    let html = `<div class="seq-routines">`;
+    if (!routines.length) {
+      html += `<p class="hint">${_localize("Empty")}</p>`;
+    }
+    for (const routine of routines) {
+      const summary = routine.entries
+        .map((entry) => foundry.utils.escapeHTML(this.actor.items.get(entry.itemId)?.name ?? "?"))
+        .join(", ");
+      html += `<div class="seq-routine-row" data-routine-id="${routine.id}">
+        <div class="seq-routine-info">
+          <span class="seq-routine-name">${foundry.utils.escapeHTML(routine.name)}</span>
+          <span class="seq-routine-summary">${summary}</span>
+        </div>
+        <a data-action="runRoutine" data-tooltip="${_localize("Run")}"><i class="fas fa-play"></i></a>
+        <a data-action="editRoutine" data-tooltip="${_localize("Edit")}"><i class="fas fa-edit"></i></a>
+        <a data-action="createMacro" data-tooltip="${_localize("CreateMacro")}"><i class="fas fa-code"></i></a>
+        <a data-action="deleteRoutine" data-tooltip="${_localize("Delete")}"><i class="fas fa-trash"></i></a>
+      </div>`;
+    }
+    html += `<button type="button" data-action="newRoutine"><i class="fas fa-plus"></i> ${_localize("New")}</button>`;
+    html += `</div>`;
+    return html;
+  }
+
+  _renderEditor() {
+    const draft = this._draft;
+    let html = `<form class="seq-routine-editor">`;
+    html += `<div class="form-group"><label>${_localize("Name")}</label><input type="text" name="name" value="${foundry.utils.escapeHTML(draft.name)}"></div>`;
+    html += `<div class="seq-routine-entries">`;
+    for (const [index, entry] of draft.entries.entries()) {
+      html += `<div class="seq-routine-entry" data-index="${index}">
+        <select name="entries.${index}.source">${this._attackOptions(`${entry.itemId}.${entry.actionId}`)}</select>
+        <label class="checkbox" data-tooltip="${_localize("SecondaryTooltip")}"><input type="checkbox" name="entries.${index}.secondary"${entry.secondary ? " checked" : ""}> ${_localize("Secondary")}</label>
+        <input type="number" name="entries.${index}.maxAttacks" value="${entry.maxAttacks || ""}" min="0" placeholder="${_localize("MaxAttacksAll")}" data-tooltip="${_localize("MaxAttacksTooltip")}">
+        <a data-action="moveEntry" data-direction="-1" data-tooltip="${_localize("MoveUp")}"><i class="fas fa-arrow-up"></i></a>
+        <a data-action="moveEntry" data-direction="1" data-tooltip="${_localize("MoveDown")}"><i class="fas fa-arrow-down"></i></a>
+        <a data-action="removeEntry" data-tooltip="${_localize("Remove")}"><i class="fas fa-times"></i></a>
+      </div>`;
+    }
+    html += `</div>`;
+    html += `<p class="hint">${_localize("SecondaryHint")}</p>`;
+    html += `<div class="seq-routine-buttons">
+      <button type="button" data-action="addEntry"><i class="fas fa-plus"></i> ${_localize("AddAttack")}</button>
+      <button type="button" data-action="saveRoutine"><i class="fas fa-save"></i> ${_localize("Save")}</button>
+      <button type="button" data-action="cancelEdit"><i class="fas fa-times"></i> ${_localize("Cancel")}</button>
+    </div>`;
+    html += `</form>`;
+    return html;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /**
+   * Copy the editor inputs into the draft so re-renders don't lose unsaved changes.
+   */
+  _readDraft() {
+    const form = this.element.querySelector("form.seq-routine-editor");
+    if (!form || !this._draft) return;
+
+    const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(form).object);
+    this._draft.name = data.name?.trim() || this._draft.name;
+    this._draft.entries = Object.values(data.entries ?? {}).map((entry) => {
+      const [itemId, actionId] = entry.source.split(".");
+      return { itemId, actionId, secondary: !!entry.secondary, maxAttacks: Number(entry.maxAttacks) || 0 };
+    });
+  }
+
+  static async #onRunRoutine(event, target) {
+    const routineId = target.closest("[data-routine-id]").dataset.routineId;
+    await runRoutine(this.actor, routineId);
+  }
+
+  static #onNewRoutine() {
+    const sort = getRoutines(this.actor).reduce((max, r) => Math.max(max, r.sort ?? 0), 0) + 1;
+    this._draft = { id: foundry.utils.randomID(), name: game.i18n.localize("PF1SEQ.Routines.New"), sort, entries: [] };
+    this.render();
+  }
+
+  static #onEditRoutine(event, target) {
+    const routineId = target.closest("[data-routine-id]").dataset.routineId;
+    this._draft = foundry.utils.deepClone(getRoutine(this.actor, routineId));
+    this.render();
+  }
+
+  static async #onDeleteRoutine(event, target) {
+    const routineId = target.closest("[data-routine-id]").dataset.routineId;
+    const routine = getRoutine(this.actor, routineId);
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "PF1SEQ.Routines.DeleteTitle" },
+      content: `<p>${game.i18n.format("PF1SEQ.Routines.DeleteContent", { name: foundry.utils.escapeHTML(routine.name) })}</p>`,
+      rejectClose: false,
+    });
+    if (!confirmed) return;
+    await deleteRoutine(this.actor, routineId);
+    this.render();
+  }
+
+  static async #onCreateMacro(event, target) {
+    const routineId = target.closest("[data-routine-id]").dataset.routineId;
+    const routine = getRoutine(this.actor, routineId);
+    const command = `const actor = await fromUuid("${this.actor.uuid}");\ngame.modules.get("pf1-sequential-attacks").api.runRoutine(actor, "${routineId}");`;
+    const macro = await Macro.create({ name: routine.name, type: "script", img: this.actor.img, command });
+    ui.notifications.info(game.i18n.format("PF1SEQ.Routines.MacroCreated", { name: macro.name }));
+  }
+
+  static #onAddEntry() {
+    this._readDraft();
+    const item = this.actor.items.find((i) => [...(i.actions ?? [])].some((a) => a.hasAttack));
+    if (!item) {
+      ui.notifications.warn(game.i18n.format("PF1SEQ.Routines.NoAttackItems", { actor: this.actor.name }));
+      return;
+    }
+    const action = [...item.actions].find((a) => a.hasAttack);
+    this._draft.entries.push({ itemId: item.id, actionId: action.id, secondary: false, maxAttacks: 0 });
+    this.render();
+  }
+
+  static #onMoveEntry(event, target) {
+    this._readDraft();
+    const index = Number(target.closest("[data-index]").dataset.index);
+    const to = index + Number(target.dataset.direction);
+    const entries = this._draft.entries;
+    if (to < 0 || to >= entries.length) return;
+    [entries[index], entries[to]] = [entries[to], entries[index]];
+    this.render();
+  }
+
+  static #onRemoveEntry(event, target) {
+    this._readDraft();
+    const index = Number(target.closest("[data-index]").dataset.index);
+    this._draft.entries.splice(index, 1);
+    this.render();
+  }
+
+  static async #onSaveRoutine() {
+    this._readDraft();
+    if (!this._draft.entries.length) {
+      ui.notifications.warn(game.i18n.localize("PF1SEQ.Routines.NeedsEntry"));
+      return;
+    }
+    await saveRoutine(this.actor, this._draft);
+    this._draft = null;
+    this.render();
+  }
+
+  static #onCancelEdit() {
+    this._draft = null;
+    this.render();
+  }
+}
+
+/**
+ * Open the routine manager for an actor.
+ * @param {Actor} actor
+ */
+export function openRoutineManager(actor) {
+  new RoutineManager(actor, { id: `pf1-sequential-attacks-routines-${actor.id}` }).render(true);
+}
@@ -0,0 +1,344 @@
+/* Sequence Runner
+ *
+ * Everything between "the attacks are known" and "the tracker has closed": preparing an
+ * ActionUse for sequential resolution, running the tracker over one or more sources, and
+ * rebuilding the sources of a saved sequence on resume.
+ *
+ * A sequence is made of one or more sources, each an ActionUse with the attacks it
+ * contributes. A regular full attack has a single source; attack routines have one per entry.
+ */
+
+import { clearSequenceState, deserializeAttack, getSequenceState } from "./persistence.mjs";
+import { SequentialAttackTracker } from "./tracker.mjs";
+import { postSequenceSummary } from "./summary.mjs";
+import { checkActorTurn, recordFullRound } from "./combat.mjs";
+import { recordSequenceHistory } from "./history.mjs";
+
+/**
+ * Create an ActionUse outside of the normal ItemAction.use() flow.
+ * @param {Item} item
+ * @param {ItemAction} action
+ * @param {object} [options]
+ * @param {Token|null} [options.token]
+ * @param {string|null} [options.rollMode]
+ * @returns {ActionUse}
+ */
+export function createActionUse(item, action, { token = null, rollMode = null } = {}) {
+  const actor = item.actor;
+  return new pf1.actionUse.ActionUse({
+    item,
+    action,
+    actor,
+    token: token ?? actor.token?.object ?? actor.getActiveTokens()[0] ?? null,
+    rollMode: rollMode ?? game.settings.get("core", "rollMode"),
+    chatMessage: true,
+  });
+}
+
+/**
+ * Run the steps ActionUse.process() takes before the attack dialog, for a full attack.
+ * pf1CreateActionUse is not fired here: prepareSequentialUse() fires it for sequences,
+ * and process() itself when a use goes down the wrapper chain instead.
+ * @param {ActionUse} actionUse
+ * @returns {Promise<object|null>} An error result as returned by process(), or null on success
+ */
+export async function prepareFullAttack(actionUse) {
+  const reqErr = await actionUse.checkRequirements();
+  if (reqErr > 0) return { err: pf1.actionUse.ERR_REQUIREMENT, code: reqErr };
+
+  await actionUse.autoSelectAmmo();
+  actionUse.getRollData();
+  actionUse.shared.fullAttack = true;
+  await actionUse.generateAttacks(true);
+  return null;
+}
+
+/**
+ * Apply a dialog result to an ActionUse whose attacks have been generated, and filter
+ * the attacks down to the ones that can be paid for. The attacks left out are listed in
+ * shared.droppedAttacks with the reason, "ammo" or "charges", for the tracker to show.
+ * Mirrors the steps ActionUse.process() takes between the dialog and the first roll.
+ * @param {ActionUse} actionUse
+ * @param {object} form Attack dialog result
+ * @returns {Promise<object|null>} An error result as returned by process(), or null on success
+ */
+export async function prepareSequentialUse(actionUse, form) {
+  const shared = actionUse.shared;
+  const action = actionUse.action;
+  const item = actionUse.item;
+
+  actionUse.formData = form;
+  shared.formData = form;
+  await actionUse.alterRollData(form);
+
+  // Fire the pf1CreateActionUse hook now (the wrapper defers it to avoid double-firing
+  // in the non-sequential path where wrapped() handles it).
+  Hooks.callAll("pf1CreateActionUse", actionUse);
+
+  const rollData = shared.rollData;
+  shared.droppedAttacks = [];
+
+  // Filter attacks (ammo)
+  if (action.ammo.type && action.ammo?.cost > 0) {
+    for (const atk of shared.attacks) {
+      if (!atk.hasAmmo) shared.droppedAttacks.push({ label: atk.label, reason: "ammo" });
+    }
+    shared.attacks = shared.attacks.filter((o) => o.hasAmmo);
+    if (shared.attacks.length === 0) {
+      ui.notifications.error(game.i18n.localize("PF1.AmmoDepleted"));
+      return { err: pf1.actionUse.ERR_REQUIREMENT, code: pf1.actionUse.ERR_REQUIREMENT.INSUFFICIENT_AMMO };
+    }
+  }
+
+  // Handle conditionals (once, shared across all attacks)
+  await actionUse.handleConditionals();
+
+  // Prepare charge cost
+  await actionUse.prepareChargeCost();
+
+  // Filter attacks (charges)
+  if (rollData.chargeCost != 0 && shared.action.uses?.perAttack) {
+    const cost = rollData.chargeCost;
+    const charges = item.charges;
+    for (const [index, atk] of shared.attacks.entries()) {
+      if (charges >= (index + 1) * cost) {
+        atk.chargeCost = cost;
+      } else {
+        atk.chargeCost = null;
+        shared.droppedAttacks.push({ label: atk.label, reason: "charges" });
+      }
+    }
+    shared.attacks = shared.attacks.filter((o) => o.chargeCost !== null);
+    if (shared.attacks.length === 0) {
+      ui.notifications.error(game.i18n.localize("PF1.ChargesDepleted"));
+      return { err: pf1.actionUse.ERR_REQUIREMENT, code: pf1.actionUse.ERR_REQUIREMENT.INSUFFICIENT_CHARGES };
+    }
+  }
+
+  const reqErr = await actionUse.checkAttackRequirements();
+  if (reqErr > 0) return { err: pf1.actionUse.ERR_REQUIREMENT, code: reqErr };
+
+  return null;
+}
+
+/**
+ * Whether a new sequence may start for the actor. Checked before anything is prompted
+ * for or placed on the canvas, so a refusal leaves nothing behind.
+ * Starting a new sequence replaces any paused one, once the user agrees to discard it,
+ * but never one still open in a tracker.
+ * @param {Actor} actor
+ * @returns {Promise<boolean>}
+ */
+export async function canStartSequence(actor) {
+  if (SequentialAttackTracker.active.has(actor.uuid)) {
+    ui.notifications.warn(game.i18n.format("PF1SEQ.Notify.AlreadyOpen", { actor: actor.name }));
+    return false;
+  }
+  if (!checkActorTurn(actor)) return false;
+  if (!getSequenceState(actor)) return true;
+
+  const discard = await foundry.applications.api.DialogV2.confirm({
+    window: { title: "PF1SEQ.Dialog.PausedTitle" },
+    classes: ["sequential-attack-dialog"],
+    content: `<p>${game.i18n.format("PF1SEQ.Dialog.PausedContent", { actor: foundry.utils.escapeHTML(actor.name) })}</p>`,
+    rejectClose: false,
+  });
+  if (!discard) return false;
+  // setFlag merges into the stored state, so the old one has to go before the first save
+  await clearSequenceState(actor);
+  return true;
+}
+
+/**
+ * Apply the secondary natural attack penalty to an ActionUse whose natural attack a routine
+ * made secondary. The reduced ability damage is reapplied by the tracker on every roll,
+ * since rollData is refreshed per attack.
+ * @param {ActionUse} actionUse
+ */
+export function applySecondaryPenalty(actionUse) {
+  const penalty = actionUse.action.naturalAttack?.secondary?.attackBonus || "-5";
+  actionUse.shared.attackBonus.push(`${penalty}[${game.i18n.localize("PF1SEQ.Routines.SecondaryPenalty")}]`);
+}
+
+/**
+ * Run a full attack whose dialog has been answered as a sequence.
+ * Now it's safe to apply the dialog results — we own the rest of the flow. This
+ * necessarily skips downstream wrappers since we need per-attack control over the
+ * roll-and-post cycle. Costs that apply to the whole use (spell slots, non-per-attack
+ * charges, self-charged uses) are paid once, with the first rolled attack.
+ * @param {ActionUse} actionUse ActionUse whose attacks have been generated
+ * @param {object} form Attack dialog result
+ * @param {object} [options] Passed on to runSequence()
+ * @returns {Promise<ActionUse|object|void>} As ActionUse.process()
+ */
+export async function startPreparedSequence(actionUse, form, options = {}) {
+  if (!(await canStartSequence(actionUse.actor ?? actionUse.item.actor))) return;
+
+  const prepErr = await prepareSequentialUse(actionUse, form);
+  if (prepErr) return prepErr;
+
+  // Prompt measure template (once for the whole sequence)
+  let measureTemplate = null;
+  if (actionUse.shared.useMeasureTemplate && canvas.scene) {
+    measureTemplate = await actionUse.promptMeasureTemplate();
+    if (measureTemplate === null) {
+      console.debug("PF1 | Sequential attack cancelled during template placement.");
+      return;
+    }
+  }
+
+  // Collect targets
+  await actionUse.getTargets();
+
+  const { attacks, droppedAttacks } = actionUse.shared;
+  return runSequence([{ actionUse, attacks: [...attacks], dropped: droppedAttacks }], {
+    ...options,
+    templateUuid: measureTemplate?.uuid ?? null,
+  });
+}
+
+/**
+ * Show the tracker for prepared sources and handle the outcome.
+ * Shared by full attacks, attack routines and sequences resumed from a saved state.
+ * New sequences are checked with canStartSequence() by the caller.
+ * @param {object[]} sources
+ * @param {ActionUse} sources[].actionUse
+ * @param {object[]} sources[].attacks Attacks this source contributes, in their generated order
+ * @param {boolean} [sources[].secondary] Natural attacks forced to secondary by a routine
+ * @param {object[]} [sources[].dropped] Attacks left out for lack of ammunition or charges, as {label, reason}
+ * @param {object} [options]
+ * @param {object[]|null} [options.allAttacks] Order to present the attacks in. Defaults to source order.
+ * @param {string|null} [options.title] Tracker title. Defaults to the first source's item name.
+ * @param {string|null} [options.routineId] Attack routine this sequence runs
+ * @param {string|null} [options.templateUuid] Measure template placed for this sequence
+ * @param {object|null} [options.state] Saved sequence state to continue from
+ * @returns {Promise<ActionUse|void>} The first source's ActionUse, unless cancelled
+ */
+export async function runSequence(
+  sources,
+  { allAttacks = null, title = null, routineId = null, templateUuid = null, state = null } = {}
+) {
+  const actionUse = sources[0].actionUse;
+  const item = actionUse.item;
+  const action = actionUse.action;
+  const actor = actionUse.actor ?? item.actor;
+  const name = title ?? `${item.name} (${action.name})`;
+
+  allAttacks ??= sources.flatMap((source) => source.attacks);
+  const tracker = new SequentialAttackTracker(sources, allAttacks, { title, routineId, state, templateUuid });
+  await tracker.persist();
+
+  // Show the tracker dialog (non-blocking — we drive it with promises)
+  const trackerResult = await tracker.run();
+  await recordFullRound(tracker);
+  Hooks.callAll("pf1SequentialEnd", tracker, trackerResult, tracker.summarize());
+
+  if (trackerResult === "paused") {
+    ui.notifications.info(game.i18n.format("PF1SEQ.Notify.Paused", { title: title ?? item.name }));
+    console.debug('PF1 | Sequential attack "%s" paused.', name);
+    return actionUse;
+  }
+
+  await clearSequenceState(actor);
+  await postSequenceSummary(tracker, trackerResult);
+  await recordSequenceHistory(tracker, trackerResult);
+
+  if (trackerResult === "cancelled") {
+    // Clean up any placed templates
+    if (templateUuid) await (await fromUuid(templateUuid))?.delete();
+    console.debug("PF1 | Sequential attack cancelled by user.");
+    return;
+  }
+
+  // Deselect targets after all attacks
+  if (game.settings.get("pf1", "clearTargetsAfterAttack") && game.user.targets.size) {
+    if (game.release.generation >= 13) {
+      game.user._onUpdateTokenTargets([]);
+    } else {
+      game.user.updateTokenTargets([]);
+    }
+    game.user.broadcastActivity({ targets: [] });
+  }
+
+  console.debug('PF1 | Sequential attack "%s" completed.', name);
+  return actionUse;
+}
+
+/**
+ * Rebuild the ActionUses for a saved sequence and reopen the tracker at the next unresolved attack.
+ * @param {Actor} actor
+ */
+export async function resumeSequence(actor) {
+  const state = getSequenceState(actor);
+  if (!state) return;
+
+  if (SequentialAttackTracker.active.has(actor.uuid)) {
+    ui.notifications.warn(game.i18n.format("PF1SEQ.Notify.AlreadyOpen", { actor: actor.name }));
+    return;
+  }
+
+  const token = state.tokenUuid ? (await fromUuid(state.tokenUuid))?.object : null;
+
+  const sources = [];
+  for (const saved of state.sources) {
+    const item = actor.items.get(saved.itemId);
+    const action = item?.actions?.get(saved.actionId);
+    if (!action) {
+      ui.notifications.error(game.i18n.localize("PF1SEQ.Notify.SourceMissing"));
+      await clearSequenceState(actor);
+      return;
+    }
+
+    const actionUse = createActionUse(item, action, { token, rollMode: state.rollMode });
+    const shared = actionUse.shared;
+
+    // Repeat the pre-dialog setup, then apply the saved dialog result instead of prompting
+    actionUse.getRollData();
+    shared.fullAttack = true;
+    await actionUse.generateAttacks(true);
+
+    const form = saved.formData;
+    actionUse.formData = form;
+    shared.formData = form;
+    await actionUse.alterRollData(form);
+    shared.powerAttack = saved.powerAttack;
+    shared.conditionals = saved.conditionals;
+
+    Hooks.callAll("pf1CreateActionUse", actionUse);
+
+    await actionUse.handleConditionals();
+    await actionUse.prepareChargeCost();
+    await actionUse.getTargets();
+    if (saved.secondary) applySecondaryPenalty(actionUse);
+
+    sources.push({ actionUse, attacks: [], secondary: saved.secondary ?? false, dropped: saved.dropped ?? [] });
+  }
+
+  // Rebuild the attacks in presentation order, and each source's attacks in generated order
+  const allAttacks = state.attacks.map((data) => {
+    const atk = deserializeAttack(data);
+    sources[data.source].attacks[data.localIndex] = atk;
+    return atk;
+  });
+  // Extra attacks set aside by turning their option off stay out of the queue
+  for (const [sourceIndex, saved] of state.sources.entries()) {
+    const source = sources[sourceIndex];
+    source.setAside = {};
+    for (const { name, attacks, attackBonus } of saved.setAside ?? []) {
+      const restored = attacks.map((data) => {
+        const atk = deserializeAttack(data);
+        source.attacks[data.localIndex] = atk;
+        return atk;
+      });
+      source.setAside[name] = { attacks: restored, attackBonus };
+    }
+  }
+
+  return runSequence(sources, {
+    allAttacks,
+    title: state.title,
+    routineId: state.routineId,
+    templateUuid: state.templateUuid,
+    state,
+  });
+}
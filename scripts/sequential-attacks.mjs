@@ -1,24 +1,234 @@
 /* Sequential Full Attack
  *
  * When enabled, full attacks are resolved one attack at a time instead of all at once.
- * A tracker dialog shows all attacks, highlighting the current one. The user clicks
+ * A tracker window shows all attacks, highlighting the current one. The user clicks
  * "Next Attack" to roll each attack individually, allowing retargeting and buff/debuff
  * changes between attacks. Each resolved attack posts its own chat card.
  *
  * Uses libWrapper to wrap ActionUse.prototype.process().
+ *
+ * In-progress sequences are stored on the actor so they can be paused and resumed
+ * after a reload (see persistence.mjs). Attack routines run attacks from several items
+ * as one sequence (see routines.mjs). Macros and other modules can drive sequences
+ * through the module API (see api.mjs). Finished and cancelled sequences are logged on
+ * the actor (see history.mjs).
  */
 
+import { canResumeSequence, getSequenceState } from "./persistence.mjs";
+import { prepareFullAttack, resumeSequence, startPreparedSequence } from "./sequence.mjs";
+import { openRoutineManager, runRoutine } from "./routines.mjs";
+import {
+  configureActor,
+  configureItem,
+  getSequentialMode,
+  isSequentialDisabled,
+  migrateLegacySetting,
+  SEQUENTIAL_MODES,
+  SequentialOverridesMenu,
+  WORLD_MODES,
+} from "./config.mjs";
+import { getSequentialChoice, injectSequentialToggle, offerSequentialToggle } from "./attack-dialog.mjs";
+import { getActiveAutomationModule, isSpellLike } from "./compat.mjs";
+import { activateSummaryLinks, CHAT_CARD_MODES } from "./summary.mjs";
+import { onSocketMessage, registerSocket } from "./socket.mjs";
+import { openSequenceMonitor, registerMonitor, reportSequence, SequenceMonitor, warnOnTurnChange } from "./monitor.mjs";
+import { SequentialAttackTracker } from "./tracker.mjs";
+import { cancel, getActiveSequences, rollNext, skip, startSequence } from "./api.mjs";
+import { decorateCombatTracker, isActorTurn, TURN_END_BEHAVIORS } from "./combat.mjs";
+import { localizeCount } from "./i18n.mjs";
+import { getSequenceHistory, openSequenceHistory } from "./history.mjs";
+import { TARGET_FOCUS_MODES } from "./animation.mjs";
+
 // ---- Setting Registration ---- //
 
 Hooks.once("init", () => {
+  game.settings.register("pf1-sequential-attacks", "worldMode", {
+    name: "PF1SEQ.Settings.WorldMode.Name",
+    hint: "PF1SEQ.Settings.WorldMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: WORLD_MODES,
+    default: "never",
+  });
+
+  game.settings.register("pf1-sequential-attacks", "userMode", {
+    name: "PF1SEQ.Settings.UserMode.Name",
+    hint: "PF1SEQ.Settings.UserMode.Hint",
+    scope: "user",
+    config: true,
+    type: String,
+    choices: SEQUENTIAL_MODES,
+    default: "default",
+  });
+
+  // Legacy client toggle, kept only so it can be migrated to the user preference
   game.settings.register("pf1-sequential-attacks", "sequentialAttacks", {
-    name: "Sequential Full Attacks",
-    hint: "When enabled, full attacks are rolled one at a time, allowing retargeting and effect changes between attacks.",
     scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register("pf1-sequential-attacks", "stopOnDrop", {
+    name: "PF1SEQ.Settings.StopOnDrop.Name",
+    hint: "PF1SEQ.Settings.StopOnDrop.Hint",
+    scope: "user",
     config: true,
     type: Boolean,
     default: false,
   });
+
+  game.settings.register("pf1-sequential-attacks", "stopOnMisfire", {
+    name: "PF1SEQ.Settings.StopOnMisfire.Name",
+    hint: "PF1SEQ.Settings.StopOnMisfire.Hint",
+    scope: "user",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register("pf1-sequential-attacks", "autoRunDelay", {
+    name: "PF1SEQ.Settings.AutoRunDelay.Name",
+    hint: "PF1SEQ.Settings.AutoRunDelay.Hint",
+    scope: "user",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 5000, step: 250 },
+    default: 1000,
+  });
+
+  game.settings.register("pf1-sequential-attacks", "waitForDice", {
+    name: "PF1SEQ.Settings.WaitForDice.Name",
+    hint: "PF1SEQ.Settings.WaitForDice.Hint",
+    scope: "user",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register("pf1-sequential-attacks", "targetFocus", {
+    name: "PF1SEQ.Settings.TargetFocus.Name",
+    hint: "PF1SEQ.Settings.TargetFocus.Hint",
+    scope: "user",
+    config: true,
+    type: String,
+    choices: TARGET_FOCUS_MODES,
+    default: "highlight",
+  });
+
+  game.settings.register("pf1-sequential-attacks", "animationHook", {
+    name: "PF1SEQ.Settings.AnimationHook.Name",
+    hint: "PF1SEQ.Settings.AnimationHook.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+  });
+
+  game.settings.register("pf1-sequential-attacks", "combatTurnOnly", {
+    name: "PF1SEQ.Settings.CombatTurnOnly.Name",
+    hint: "PF1SEQ.Settings.CombatTurnOnly.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register("pf1-sequential-attacks", "turnEndBehavior", {
+    name: "PF1SEQ.Settings.TurnEndBehavior.Name",
+    hint: "PF1SEQ.Settings.TurnEndBehavior.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: TURN_END_BEHAVIORS,
+    default: "none",
+  });
+
+  game.settings.register("pf1-sequential-attacks", "historyLimit", {
+    name: "PF1SEQ.Settings.HistoryLimit.Name",
+    hint: "PF1SEQ.Settings.HistoryLimit.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 200, step: 10 },
+    default: 50,
+  });
+
+  game.settings.register("pf1-sequential-attacks", "chatCards", {
+    name: "PF1SEQ.Settings.ChatCards.Name",
+    hint: "PF1SEQ.Settings.ChatCards.Hint",
+    scope: "user",
+    config: true,
+    type: String,
+    choices: CHAT_CARD_MODES,
+    default: "individual",
+  });
+
+  // Where the tracker window was last left
+  game.settings.register("pf1-sequential-attacks", "trackerPosition", {
+    scope: "client",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.registerMenu("pf1-sequential-attacks", "monitor", {
+    name: "PF1SEQ.Settings.Monitor.Name",
+    label: "PF1SEQ.Settings.Monitor.Label",
+    hint: "PF1SEQ.Settings.Monitor.Hint",
+    icon: "fas fa-list-check",
+    type: SequenceMonitor,
+    restricted: true,
+  });
+
+  game.settings.registerMenu("pf1-sequential-attacks", "overrides", {
+    name: "PF1SEQ.Settings.Overrides.Name",
+    label: "PF1SEQ.Settings.Overrides.Label",
+    hint: "PF1SEQ.Settings.Overrides.Hint",
+    icon: "fas fa-list-ol",
+    type: SequentialOverridesMenu,
+    restricted: false,
+  });
+
+  // Keyboard shortcuts act on the focused tracker and pass through when none is open
+  const trackerKeys = [
+    ["rollNext", "PF1SEQ.Keybindings.RollNext", "KeyN", (tracker) => tracker._rollNext()],
+    ["skip", "PF1SEQ.Keybindings.Skip", "KeyK", (tracker) => tracker._skipCurrentAttack()],
+    ["undo", "PF1SEQ.Keybindings.Undo", "KeyU", (tracker) => tracker._undoOrRestore()],
+    ["cancel", "PF1SEQ.Keybindings.Cancel", "KeyX", (tracker) => tracker._cancel()],
+    ["cycleTarget", "PF1SEQ.Keybindings.CycleTarget", "KeyT", (tracker) => tracker._cycleTarget()],
+  ];
+  for (const [action, name, key, handler] of trackerKeys) {
+    game.keybindings.register("pf1-sequential-attacks", action, {
+      name,
+      hint: "PF1SEQ.Keybindings.Hint",
+      editable: [{ key, modifiers: ["Shift"] }],
+      onDown: () => {
+        const tracker = SequentialAttackTracker.focused;
+        if (!tracker) return false;
+        // Keybinding handlers aren't awaited, so failures have to be reported here
+        Promise.resolve(handler(tracker)).catch((err) => {
+          console.error(`pf1-sequential-attacks | Error running the ${action} shortcut:`, err);
+          ui.notifications.error(game.i18n.localize("PF1SEQ.Notify.ErrorShortcut"));
+        });
+        return true;
+      },
+    });
+  }
+
+  game.modules.get("pf1-sequential-attacks").api = {
+    startSequence,
+    resumeSequence,
+    runRoutine,
+    getActiveSequences,
+    rollNext,
+    skip,
+    cancel,
+    openSequenceMonitor,
+    getSequenceHistory,
+    openSequenceHistory,
+  };
 });
 
 // ---- Wrapper Registration ---- //
@@ -37,6 +247,120 @@ Hooks.once("ready", () => {
   );
 
   console.log("pf1-sequential-attacks | Sequential Attacks wrapper registered (MIXED priority).");
+
+  migrateLegacySetting();
+
+  // GM control of sequences open on other clients (see monitor.mjs)
+  registerSocket();
+  onSocketMessage("sequenceControl", ({ actorUuid, userId, action }, senderId) => {
+    if (userId !== game.user.id || !game.users.get(senderId)?.isGM) return;
+    const tracker = SequentialAttackTracker.active.get(actorUuid);
+    if (!tracker || tracker._completed) return;
+    if (action === "pause") {
+      ui.notifications.info(game.i18n.format("PF1SEQ.Notify.GMPaused", { title: tracker.displayTitle }));
+      tracker._pause();
+    } else if (action === "cancel") {
+      ui.notifications.info(game.i18n.format("PF1SEQ.Notify.GMCancelled", { title: tracker.displayTitle }));
+      tracker._cancel("gm");
+    }
+  });
+  onSocketMessage("sequenceQuery", () => {
+    for (const tracker of SequentialAttackTracker.active.values()) reportSequence(tracker);
+  });
+  registerMonitor();
+
+  // Let the user know about sequences interrupted by a reload or disconnect
+  for (const actor of game.actors) {
+    const state = getSequenceState(actor);
+    if (state?.userId === game.user.id && actor.isOwner) {
+      ui.notifications.info(game.i18n.format("PF1SEQ.Notify.PausedOnLoad", { actor: actor.name }));
+    }
+  }
+});
+
+// ---- Attack Dialog Toggle ---- //
+
+Hooks.on("renderAttackDialog", injectSequentialToggle);
+
+// ---- GM Monitor ---- //
+
+Hooks.on("updateCombat", warnOnTurnChange);
+
+// ---- Combat Tracker ---- //
+
+Hooks.on("renderCombatTracker", decorateCombatTracker);
+
+// ---- Summary Cards ---- //
+
+Hooks.on("renderChatMessageHTML", activateSummaryLinks);
+
+// ---- Sheet Controls ---- //
+
+Hooks.on("getActorSheetHeaderButtons", (sheet, buttons) => {
+  const actor = sheet.actor;
+  if (!actor?.isOwner) return;
+
+  buttons.unshift({
+    label: game.i18n.localize("PF1SEQ.Sheet.Sequential"),
+    class: "seq-configure",
+    icon: "fas fa-list-ol",
+    onclick: () => configureActor(actor),
+  });
+
+  buttons.unshift({
+    label: game.i18n.localize("PF1SEQ.Sheet.Routines"),
+    class: "seq-routines",
+    icon: "fas fa-swords",
+    onclick: () => openRoutineManager(actor),
+  });
+
+  buttons.unshift({
+    label: game.i18n.localize("PF1SEQ.Sheet.History"),
+    class: "seq-history",
+    icon: "fas fa-scroll",
+    onclick: () => openSequenceHistory(actor),
+  });
+
+  if (!canResumeSequence(actor)) return;
+
+  buttons.unshift({
+    label: game.i18n.localize("PF1SEQ.Sheet.ResumeAttack"),
+    class: "seq-resume-attack",
+    icon: "fas fa-play",
+    onclick: () => resumeSequence(actor),
+  });
+});
+
+Hooks.on("getItemSheetHeaderButtons", (sheet, buttons) => {
+  const item = sheet.item;
+  if (!item?.isOwner) return;
+  if (![...(item.actions ?? [])].some((action) => action.hasAttack)) return;
+
+  buttons.unshift({
+    label: game.i18n.localize("PF1SEQ.Sheet.Sequential"),
+    class: "seq-configure",
+    icon: "fas fa-list-ol",
+    onclick: () => configureItem(item),
+  });
+});
+
+Hooks.on("renderTokenHUD", (hud, html) => {
+  const actor = hud.actor;
+  if (!canResumeSequence(actor)) return;
+
+  const column = html.querySelector(".col.right");
+  if (!column) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("control-icon", "seq-resume-attack");
+  button.dataset.tooltip = game.i18n.localize("PF1SEQ.Sheet.ResumeTooltip");
+  button.innerHTML = `<i class="fas fa-play"></i>`;
+  button.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    resumeSequence(actor);
+  });
+  column.append(button);
 });
 
 // ---- Core Wrapper ---- //
@@ -48,14 +372,17 @@ Hooks.once("ready", () => {
  * original method.
  */
 async function sequentialProcessWrapper(wrapped, { skipDialog = false } = {}) {
-  // Bail out early if the setting is off — always chain to other wrappers
-  if (!game.settings.get("pf1-sequential-attacks", "sequentialAttacks")) {
-    return wrapped({ skipDialog });
-  }
-
   const actionUse = this; // `this` is the ActionUse instance
   const action = actionUse.action;
 
+  // Bail out early if the actor, item or action turns sequential mode off — always chain
+  // to other wrappers. Off by preference only, the dialog still offers it.
+  const levels = { actor: actionUse.actor ?? actionUse.item?.actor, item: actionUse.item, action };
+  const mode = getSequentialMode(levels);
+  if (mode === "never" && isSequentialDisabled(levels)) {
+    return wrapped({ skipDialog });
+  }
+
   // Quick pre-check: only full attacks with attack rolls can be sequential.
   // If the action doesn't have attack rolls, just chain normally.
   if (!action.hasAttack) {
@@ -67,12 +394,19 @@ async function sequentialProcessWrapper(wrapped, { skipDialog = false } = {}) {
     return wrapped({ skipDialog });
   }
 
-  // Spells, consumables, and class features are rarely used in sequential full attacks
-  // and may be handled by other wrappers (e.g. Nevela's Automation Suite) that bypass
-  // createAttackDialog(). To avoid double-dialog issues, chain directly for these types.
-  const itemType = actionUse.item?.type;
-  const itemSubType = actionUse.item?.subType;
-  if (itemType === "spell" || itemType === "consumable" || (itemType === "feat" && itemSubType === "classFeat")) {
+  // With sequences limited to the actor's combat turn, attacks out of turn (e.g. attacks
+  // of opportunity) are made all at once, without asking first
+  if (!isActorTurn(actionUse.actor ?? actionUse.item?.actor)) {
+    return wrapped({ skipDialog });
+  }
+
+  // Spells, consumables, and class features may be handled by other wrappers
+  // (e.g. Nevela's Automation Suite) that bypass createAttackDialog(). When such a
+  // module is active we decide before showing any dialog (see Phase 1), so the
+  // non-sequential path never shows a second dialog.
+  const automation = isSpellLike(actionUse.item) ? getActiveAutomationModule() : null;
+  // Without our dialog there's no checkbox to opt in with
+  if (automation && mode === "never") {
     return wrapped({ skipDialog });
   }
 
@@ -87,16 +421,26 @@ async function sequentialProcessWrapper(wrapped, { skipDialog = false } = {}) {
   // Run the pre-dialog setup so the dialog has the data it needs.
   // Note: We do NOT fire pf1CreateActionUse here — it will fire in wrapped() or
   // in our sequential phase. This avoids double-firing when we chain to wrapped().
-  let reqErr = await actionUse.checkRequirements();
-  if (reqErr > 0) return { err: pf1.actionUse.ERR_REQUIREMENT, code: reqErr };
-
-  await actionUse.autoSelectAmmo();
-  actionUse.getRollData();
-
-  actionUse.shared.fullAttack = true;
-  await actionUse.generateAttacks(true);
+  const setupErr = await prepareFullAttack(actionUse);
+  if (setupErr) return setupErr;
+
+  // With an automation module handling this item, the dialog may never be ours to show:
+  // decide now, and chain untouched if this isn't going to be sequential.
+  let preDecided = false;
+  if (automation) {
+    let sequential = actionUse.shared.attacks.length > 1;
+    if (sequential && mode === "ask") sequential = await _confirmSequential(actionUse);
+    if (!sequential) {
+      console.debug("PF1 | Sequential mode: deferring to %s for %s.", automation.id, actionUse.item.name);
+      return wrapped({ skipDialog });
+    }
+    preDecided = true;
+  } else {
+    // Show our checkbox in the dialog, defaulting to the configured preference
+    // (undecided in ask mode)
+    offerSequentialToggle(actionUse, { always: true, never: false, ask: null }[mode]);
+  }
 
-  // Show the dialog
   const form = await actionUse.createAttackDialog();
   if (!form) {
     console.debug("PF1 | Sequential attack cancelled in attack prompt.");
@@ -110,7 +454,16 @@ async function sequentialProcessWrapper(wrapped, { skipDialog = false } = {}) {
   // to shared.attackBonus/damageBonus, and calling it here would cause double-counting
   // if wrapped() later calls it again for the non-sequential path.
   const isFullAttack = form.fullAttack !== false;
-  if (!isFullAttack || shared.attacks.length <= 1) {
+  let sequential = isFullAttack && shared.attacks.length > 1;
+  const choice = getSequentialChoice(actionUse);
+  if (choice !== undefined) {
+    sequential &&= choice;
+  } else if (mode === "never") {
+    sequential = false;
+  } else if (sequential && mode === "ask" && !preDecided) {
+    sequential = await _confirmSequential(actionUse);
+  }
+  if (!sequential) {
     // Does NOT qualify for sequential. Hand off to the full wrapper chain.
     // We've already consumed the dialog and run pre-dialog steps, so we need
     // to ensure downstream wrappers (or vanilla) don't re-run the dialog
@@ -125,528 +478,23 @@ async function sequentialProcessWrapper(wrapped, { skipDialog = false } = {}) {
   }
 
   // ---- Phase 3: Sequential mode activates ---- //
-  // Now it's safe to apply the dialog results — we own the rest of the flow.
-  // This necessarily skips downstream wrappers since we need per-attack control
-  // over the roll-and-post cycle. For weapon attacks (the primary use case)
-  // this is fine — Nevela's only runs custom logic for spells/consumables/classFeats,
-  // and those rarely have multi-attack full attacks.
-  actionUse.formData = form;
-  shared.formData = form;
-  await actionUse.alterRollData(form);
-
-  // Fire the pf1CreateActionUse hook now (we deferred it earlier to avoid double-firing
-  // in the non-sequential path where wrapped() handles it).
-  Hooks.callAll("pf1CreateActionUse", actionUse);
-
-  const item = actionUse.item;
-  const rollData = shared.rollData;
-
-  // Filter attacks (ammo)
-  if (action.ammo.type && action.ammo?.cost > 0) {
-    shared.attacks = shared.attacks.filter((o) => o.hasAmmo);
-    if (shared.attacks.length === 0) {
-      ui.notifications.error(game.i18n.localize("PF1.AmmoDepleted"));
-      return { err: pf1.actionUse.ERR_REQUIREMENT, code: pf1.actionUse.ERR_REQUIREMENT.INSUFFICIENT_AMMO };
-    }
-  }
-
-  // Handle conditionals (once, shared across all attacks)
-  await actionUse.handleConditionals();
-
-  // Prepare charge cost
-  await actionUse.prepareChargeCost();
-
-  // Filter attacks (charges)
-  if (rollData.chargeCost != 0 && shared.action.uses?.perAttack) {
-    const cost = rollData.chargeCost;
-    const charges = item.charges;
-    for (const [index, atk] of shared.attacks.entries()) {
-      if (charges >= (index + 1) * cost) atk.chargeCost = cost;
-      else atk.chargeCost = null;
-    }
-    shared.attacks = shared.attacks.filter((o) => o.chargeCost !== null);
-    if (shared.attacks.length === 0) {
-      ui.notifications.error(game.i18n.localize("PF1.ChargesDepleted"));
-      return { err: pf1.actionUse.ERR_REQUIREMENT, code: pf1.actionUse.ERR_REQUIREMENT.INSUFFICIENT_CHARGES };
-    }
-  }
-
-  reqErr = await actionUse.checkAttackRequirements();
-  if (reqErr > 0) return { err: pf1.actionUse.ERR_REQUIREMENT, code: reqErr };
-
-  // Prompt measure template (once for the whole sequence)
-  let measureTemplate = null;
-  if (shared.useMeasureTemplate && canvas.scene) {
-    measureTemplate = await actionUse.promptMeasureTemplate();
-    if (measureTemplate === null) {
-      console.debug("PF1 | Sequential attack cancelled during template placement.");
-      return;
-    }
-  }
-
-  // Collect targets
-  await actionUse.getTargets();
-
-  // ---- Phase 4: Sequential attack loop ---- //
-
-  const allAttacks = [...shared.attacks];
-  const tracker = new SequentialAttackTracker(actionUse, allAttacks);
-
-  // Show the tracker dialog (non-blocking — we drive it with promises)
-  const trackerResult = await tracker.run();
-
-  if (trackerResult === "cancelled") {
-    // Clean up any placed templates
-    await measureTemplate?.delete();
-    console.debug("PF1 | Sequential attack cancelled by user.");
-    return;
-  }
-
-  // Deselect targets after all attacks
-  if (game.settings.get("pf1", "clearTargetsAfterAttack") && game.user.targets.size) {
-    if (game.release.generation >= 13) {
-      game.user._onUpdateTokenTargets([]);
-    } else {
-      game.user.updateTokenTargets([]);
-    }
-    game.user.broadcastActivity({ targets: [] });
-  }
-
-  console.debug('PF1 | Sequential full attack "%s (%s)" completed.', item.name, action.name);
-  return actionUse;
+  // We own the rest of the flow from here (see startPreparedSequence()).
+  return startPreparedSequence(actionUse, form);
 }
 
-// ---- Sequential Attack Tracker (Dialog) ---- //
-
-class SequentialAttackTracker {
-  constructor(actionUse, allAttacks) {
-    this.actionUse = actionUse;
-    this.allAttacks = allAttacks;
-    this.currentIndex = 0;
-    this.resolvedIndices = new Set();
-    this.skippedIndices = new Set();
-    this.dialog = null;
-    this._resolve = null; // Promise resolve callback
-  }
-
-  /**
-   * Opens the tracker dialog and runs the sequential loop.
-   * @returns {Promise<string>} "completed" or "cancelled"
-   */
-  async run() {
-    return new Promise((resolve) => {
-      this._resolve = resolve;
-      this._renderDialog();
-    });
-  }
-
-  _renderDialog() {
-    const content = this._buildHTML();
-
-    if (this.dialog) {
-      // Update existing dialog content
-      const inner = this.dialog.element?.find?.(".sequential-attack-tracker");
-      if (inner?.length) {
-        inner.replaceWith(this._buildTrackerBody());
-        this._activateListeners(this.dialog.element);
-        return;
-      }
-    }
-
-    this.dialog = new Dialog(
-      {
-        title: `Sequential Attack: ${this.actionUse.item.name}`,
-        content,
-        buttons: {},
-        close: () => {
-          // If closed before completing all attacks, treat as cancel
-          if (!this._completed) {
-            this._resolve("cancelled");
-          }
-        },
-      },
-      {
-        classes: ["sequential-attack-dialog"],
-        width: 340,
-        height: "auto",
-        resizable: false,
-      }
-    );
-
-    this.dialog.render(true);
-
-    // Wait for the dialog to actually render before attaching listeners
-    Hooks.once("renderDialog", (app) => {
-      if (app === this.dialog) {
-        this._activateListeners(app.element);
-      }
-    });
-  }
-
-  _buildHTML() {
-    return this._buildTrackerBody();
-  }
-
-  _buildTrackerBody() {
-    const attacks = this.allAttacks;
-    let html = `<div class="sequential-attack-tracker">`;
-    html += `<div class="seq-attack-header">`;
-    html += `<span class="seq-attack-title">${this.actionUse.item.name} — ${this.actionUse.action.name}</span>`;
-    const nextAttack = this._completed ? attacks.length : this.currentIndex + 1;
-    html += `<span class="seq-attack-progress">${nextAttack} / ${attacks.length}</span>`;
-    html += `</div>`;
-
-    html += `<div class="seq-attack-list">`;
-    for (let i = 0; i < attacks.length; i++) {
-      const atk = attacks[i];
-      const isResolved = this.resolvedIndices.has(i);
-      const isSkipped = this.skippedIndices.has(i);
-      const isCurrent = i === this.currentIndex && !this._completed;
-
-      let statusClass = "seq-pending";
-      let icon = `<i class="fas fa-circle-notch"></i>`;
-      if (isSkipped) {
-        statusClass = "seq-skipped";
-        icon = `<i class="fas fa-forward"></i>`;
-      } else if (isResolved) {
-        statusClass = "seq-resolved";
-        icon = `<i class="fas fa-check-circle"></i>`;
-      } else if (isCurrent) {
-        statusClass = "seq-current";
-        icon = `<i class="fas fa-crosshairs"></i>`;
-      }
-
-      const bonusTotal = pf1.dice.RollPF.safeRollSync(atk.attackBonus, this.actionUse.shared.rollData, undefined, undefined, { minimize: true }).total ?? 0;
-      const bonusStr = bonusTotal >= 0 ? `+${bonusTotal}` : `${bonusTotal}`;
-      html += `<div class="seq-attack-row ${statusClass}">`;
-      html += `  <span class="seq-attack-icon">${icon}</span>`;
-      html += `  <span class="seq-attack-label">${atk.label}</span>`;
-      html += `  <span class="seq-attack-bonus">${bonusStr}</span>`;
-      html += `</div>`;
-    }
-    html += `</div>`;
-
-    // Buttons
-    html += `<div class="seq-attack-buttons">`;
-    if (!this._completed) {
-      const isLast = this.currentIndex === attacks.length - 1;
-      const btnLabel = isLast ? "Roll Final Attack" : "Roll Next Attack";
-      const btnIcon = isLast ? "fas fa-flag-checkered" : "fas fa-dice-d20";
-      html += `<button type="button" class="seq-next-btn"><i class="${btnIcon}"></i> ${btnLabel}</button>`;
-      html += `<button type="button" class="seq-skip-btn"><i class="fas fa-forward"></i> Skip</button>`;
-      html += `<button type="button" class="seq-cancel-btn"><i class="fas fa-times"></i> Cancel</button>`;
-    } else {
-      html += `<button type="button" class="seq-close-btn"><i class="fas fa-check"></i> Done</button>`;
-    }
-    html += `</div>`;
-
-    html += `</div>`;
-    return html;
-  }
-
-  _activateListeners(html) {
-    html.find(".seq-next-btn").off("click").on("click", async (ev) => {
-      ev.preventDefault();
-      const btn = $(ev.currentTarget);
-      btn.prop("disabled", true).addClass("seq-btn-working");
-
-      try {
-        await this._resolveCurrentAttack();
-      } catch (err) {
-        console.error("pf1-sequential-attacks | Error resolving sequential attack:", err);
-        ui.notifications.error("Error resolving attack. Check console.");
-      } finally {
-        btn.prop("disabled", false).removeClass("seq-btn-working");
-      }
-    });
-
-    html.find(".seq-skip-btn").off("click").on("click", (ev) => {
-      ev.preventDefault();
-      this._skipCurrentAttack();
-    });
-
-    html.find(".seq-cancel-btn").off("click").on("click", (ev) => {
-      ev.preventDefault();
-      this._completed = true;
-      this._resolve("cancelled");
-      this.dialog.close();
-    });
-
-    html.find(".seq-close-btn").off("click").on("click", (ev) => {
-      ev.preventDefault();
-      this._completed = true;
-      this.dialog.close();
-      this._resolve("completed");
-    });
-  }
-
-  /**
-   * Resolve the current attack: re-prepare the actor, roll the single attack, and post its chat card.
-   */
-  async _resolveCurrentAttack() {
-    const idx = this.currentIndex;
-    const actionUse = this.actionUse;
-    const shared = actionUse.shared;
-    const action = actionUse.action;
-    const item = actionUse.item;
-    const atk = this.allAttacks[idx];
-
-    // Refresh rollData to pick up any updated actor stats (buffs toggled between attacks, etc.)
-    // Note: We do NOT call actor.prepareData() here — the vanilla flow never does, and doing so
-    // causes duplicate resource warnings and can corrupt derived data (e.g. actor size).
-    // Foundry automatically re-prepares actors when their data changes (buff toggles, etc.),
-    // so getRollData({ cache: false }) already picks up the latest state.
-    actionUse.getRollData();
-    const rollData = shared.rollData;
-
-    // If charge was selected in the dialog, only the first attack should benefit.
-    // Clear the selection and remove the charge bonus for all subsequent attacks.
-    if (idx > 0 && shared.formData?.charge) {
-      shared.formData.charge = false;
-      shared.charge = false;
-      const chargeLabel = game.i18n.localize("PF1.Charge");
-      const chargeTag = `[${chargeLabel}]`;
-      shared.attackBonus = shared.attackBonus.filter((part) => !part?.includes?.(chargeTag));
-    }
-
-    // Re-apply the form-based alterations (power attack, conditionals, etc.)
-    // We need to re-run alterRollData with the saved form data since getRollData() resets rollData
-    // but we need to preserve the state. We selectively re-apply key values.
-    rollData.fullAttack = shared.fullAttack ? 1 : 0;
-    if (shared.powerAttack) {
-      const basePowerAttackBonus = rollData.action?.powerAttack?.damageBonus ?? 2;
-      let powerAttackBonus = (1 + Math.floor(rollData.attributes.bab.total / 4)) * basePowerAttackBonus;
-      const paMult = action.getPowerAttackMult({ rollData });
-      powerAttackBonus = Math.floor(powerAttackBonus * paMult);
-      const powerAttackPenalty = -(1 + Math.floor(rollData.bab / 4));
-      rollData.powerAttackBonus = powerAttackBonus;
-      rollData.powerAttackPenalty = powerAttackPenalty;
-    } else {
-      rollData.powerAttackBonus = 0;
-      rollData.powerAttackPenalty = 0;
-    }
-
-    // Re-expand conditionals into rollData
-    if (shared.conditionals?.length) {
-      const rollDataConds = {};
-      for (const condId of shared.conditionals) {
-        const conditional = action.conditionals.get(condId);
-        if (!conditional) continue;
-        const tag = pf1.utils.createTag(conditional.name);
-        for (const [modKey, modifier] of conditional.modifiers.entries()) {
-          if (modifier.formula == 0) continue;
-          const conditionalRoll = await pf1.dice.RollPF.safeRoll(modifier.formula, rollData, undefined, undefined, {
-            allowInteractive: false,
-          });
-          if (conditionalRoll.err) continue;
-          rollDataConds[tag] ??= {};
-          rollDataConds[tag][modKey] = conditionalRoll.total;
-        }
-      }
-      rollData.conditionals = rollDataConds;
-    }
-
-    // Collect current targets
-    await actionUse.getTargets();
-
-    // ---- Roll this single attack ---- //
-
-    // Temporarily isolate shared data to a single attack
-    const origAttacks = shared.attacks;
-    const origChatAttacks = shared.chatAttacks;
-    shared.attacks = [atk];
-    shared.chatAttacks = [];
-
-    const conditionalParts = actionUse._getConditionalParts(atk, { index: idx });
-    rollData.attackCount = idx;
-
-    // Create ChatAttack
-    const chatAttack = new pf1.actionUse.ChatAttack(action, {
-      label: atk.label,
-      rollData,
-      targets: game.user.targets,
-      actionUse,
-    });
-
-    if (atk.type !== "manyshot") {
-      await chatAttack.addAttack({
-        extraParts: [...shared.attackBonus, atk.attackBonus],
-        conditionalParts,
-      });
-    }
-
-    // Add damage
-    if (action.hasDamage) {
-      const extraParts = foundry.utils.deepClone(shared.damageBonus);
-      const nonCritParts = [];
-      const critParts = [];
-
-      if (rollData.powerAttackBonus > 0) {
-        const label = ["rwak", "twak", "rsak"].includes(action.actionType)
-          ? game.i18n.localize("PF1.DeadlyAim")
-          : game.i18n.localize("PF1.PowerAttack");
-        const powerAttackBonus = rollData.powerAttackBonus;
-        const powerAttackCritBonus = powerAttackBonus * (rollData.action?.powerAttack?.critMultiplier ?? 1);
-        nonCritParts.push(`${powerAttackBonus}[${label}]`);
-        critParts.push(`${powerAttackCritBonus}[${label}]`);
-      }
-
-      let flavor = null;
-      if (atk.type === "manyshot") flavor = game.i18n.localize("PF1.Manyshot");
-      await chatAttack.addDamage({
-        flavor,
-        extraParts: [...extraParts, ...nonCritParts],
-        critical: false,
-        conditionalParts,
-      });
-
-      if (chatAttack.hasCritConfirm) {
-        await chatAttack.addDamage({
-          extraParts: [...extraParts, ...critParts],
-          critical: true,
-          conditionalParts,
-        });
-      }
-    }
-
-    shared.chatAttacks = [chatAttack];
-    atk.chatAttack = chatAttack;
-
-    // Fill in ammo details
-    if (atk.hasAmmo) {
-      chatAttack.setAmmo(atk.ammo.id);
-      const misfire = action.misfire ?? 0;
-      if (chatAttack.ammo) {
-        const d20 = chatAttack.attack?.d20?.total;
-        chatAttack.ammo.misfire = d20 <= misfire;
-      }
-    }
-
-    // Save DC
-    shared.save = action.save.type;
-    shared.saveDC = action.getDC(rollData);
-
-    // Effect notes for this attack
-    if (atk.type !== "manyshot") {
-      await chatAttack.addEffectNotes({ rollData });
-    }
-
-    // Reset footnotes and template data for this attack's card
-    shared.templateData.footnotes = [];
-    await actionUse.addFootnotes();
-
-    // Fire the pre-action-use hook (per attack)
-    // Modules can return false to skip this attack's chat card
-    const hookResult = Hooks.call("pf1PreActionUse", actionUse);
-
-    if (hookResult !== false) {
-      // Script calls
-      await actionUse.executeScriptCalls();
-
-      if (!shared.scriptData?.reject) {
-        // Subtract ammo for this single attack
-        const ammoCost = action.ammo.cost;
-        if (ammoCost !== 0 && atk.hasAmmo) {
-          await _subtractSingleAttackAmmo(actionUse, atk, ammoCost);
-        }
-
-        // Subtract charges for this attack
-        if (atk.chargeCost && atk.chargeCost > 0) {
-          shared.totalChargeCost = atk.chargeCost;
-          await item.addCharges(-atk.chargeCost);
-        }
-
-        // Self-charged action uses (only on first attack)
-        if (idx === 0 && action.isSelfCharged) {
-          await action.update({ "uses.self.value": action.uses.self.value - 1 });
-        }
-
-        // Update remaining ammo display
-        actionUse.updateAmmoUsage();
-
-        // Handle Dice So Nice
-        await actionUse.handleDiceSoNice();
-
-        // Build and post the chat card for this single attack
-        await actionUse.getMessageData();
-        await actionUse.postMessage();
-
-        // Post-use script calls
-        await actionUse.executeScriptCalls("postUse");
-
-        Hooks.callAll("pf1PostActionUse", actionUse, shared.message ?? null);
-      }
-    }
-
-    // Restore shared arrays
-    shared.attacks = origAttacks;
-    shared.chatAttacks = origChatAttacks;
-
-    // Cleanup per-attack rollData
-    delete rollData.attackCount;
-
-    // Mark as resolved
-    this.resolvedIndices.add(idx);
-    this.currentIndex = idx + 1;
-
-    // Check if we're done
-    if (this.currentIndex >= this.allAttacks.length) {
-      this._completed = true;
-    }
-
-    // Update the dialog
-    this._updateDialog();
-  }
-
-  /**
-   * Skip the current attack without rolling it.
-   */
-  _skipCurrentAttack() {
-    const idx = this.currentIndex;
-    this.skippedIndices.add(idx);
-    this.currentIndex = idx + 1;
-
-    if (this.currentIndex >= this.allAttacks.length) {
-      this._completed = true;
-    }
-
-    this._updateDialog();
-  }
-
-  _updateDialog() {
-    if (!this.dialog?.element?.length) return;
-
-    const container = this.dialog.element.find(".sequential-attack-tracker");
-    if (container.length) {
-      container.replaceWith(this._buildTrackerBody());
-      this._activateListeners(this.dialog.element);
-
-      // Auto-close if completed
-      if (this._completed) {
-        // Small delay so user can see the final state
-        setTimeout(() => {
-          if (this.dialog?.element?.length) {
-            this._resolve("completed");
-            this.dialog.close();
-          }
-        }, 800);
-      }
-    }
-  }
-}
-
-// ---- Helper: Subtract ammo for a single attack ---- //
-
-async function _subtractSingleAttackAmmo(actionUse, atk, ammoCost) {
-  if (!actionUse.action.hasAttack) return;
-  if (!actionUse.action.ammo.type) return;
-  if (!atk.ammo) return;
-
-  const actor = actionUse.actor;
-  const ammoItem = actor.items.get(atk.ammo.id);
-  if (!ammoItem) return;
-  if (ammoItem.system.abundant) return;
-
-  const newQty = (ammoItem.system.quantity || 0) - ammoCost;
-  await actor.updateEmbeddedDocuments("Item", [{ _id: atk.ammo.id, "system.quantity": newQty }]);
+/**
+ * Ask whether to resolve the prepared attacks one at a time.
+ * @param {ActionUse} actionUse
+ * @returns {Promise<boolean>}
+ */
+async function _confirmSequential(actionUse) {
+  const result = await foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.format("PF1SEQ.Tracker.Title", { title: actionUse.item.name }) },
+    classes: ["sequential-attack-dialog"],
+    content: `<p>${localizeCount("PF1SEQ.Dialog.Confirm", actionUse.shared.attacks.length)}</p>`,
+    yes: { default: true },
+    no: { default: false },
+    rejectClose: false,
+  });
+  return !!result;
 }
@@ -0,0 +1,47 @@
+/* Module Socket
+ *
+ * Thin dispatch over the module's socket channel. Messages carry a type and a payload;
+ * each type has at most one handler per client.
+ */
+
+const SOCKET = "module.pf1-sequential-attacks";
+
+const _handlers = new Map();
+
+/**
+ * Handle a message type received over the socket.
+ * @param {string} type
+ * @param {(payload: object, senderId: string) => void} handler
+ */
+export function onSocketMessage(type, handler) {
+  _handlers.set(type, handler);
+}
+
+/**
+ * Send a message to the other clients.
+ * @param {string} type
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {boolean} [options.includeSelf] Also handle the message on this client
+ */
+export function emitSocket(type, payload, { includeSelf = false } = {}) {
+  const message = { type, payload };
+  game.socket.emit(SOCKET, message);
+  if (includeSelf) _dispatch(message, game.user.id);
+}
+
+/**
+ * @param {object} message
+ * @param {string} senderId User who sent the message, as the server reports it. Anything
+ *   the message itself claims could have been filled in by any client.
+ */
+function _dispatch({ type, payload }, senderId) {
+  _handlers.get(type)?.(payload, senderId);
+}
+
+/**
+ * Start listening on the module socket. Call once, when the game is ready.
+ */
+export function registerSocket() {
+  game.socket.on(SOCKET, _dispatch);
+}
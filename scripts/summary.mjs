@@ -0,0 +1,144 @@
+/* Sequence Summary
+ *
+ * Once a sequence ends, a single chat card can recap it: every attack with its roll,
+ * targets, outcome, damage and ammunition, linking back to the attack's own card.
+ * Which cards are posted is a user preference; with "summary" the individual attack
+ * cards are only shown to the attacker.
+ */
+
+import { formatTargetOutcome } from "./evaluation.mjs";
+import { localizeCount } from "./i18n.mjs";
+
+const SCOPE = "pf1-sequential-attacks";
+
+/**
+ * Which chat cards a sequence posts.
+ */
+export const CHAT_CARD_MODES = {
+  individual: "PF1SEQ.ChatCardModes.Individual",
+  summary: "PF1SEQ.ChatCardModes.Summary",
+  both: "PF1SEQ.ChatCardModes.Both",
+};
+
+/**
+ * @returns {string} One of CHAT_CARD_MODES
+ */
+export function getChatCardMode() {
+  return game.settings.get(SCOPE, "chatCards");
+}
+
+/**
+ * Describe one attack of a finished or cancelled sequence.
+ * @param {SequentialAttackTracker} tracker
+ * @param {number} idx Index into allAttacks
+ * @returns {string} HTML
+ */
+function _summarizeAttack(tracker, idx) {
+  const atk = tracker.allAttacks[idx];
+  const source = tracker.sourceOf(idx);
+  const label = foundry.utils.escapeHTML(tracker.sources.length > 1 ? `${source.actionUse.item.name}: ${atk.label}` : atk.label);
+
+  if (tracker.skippedIndices.has(idx)) {
+    return `<li class="seq-summary-attack seq-skipped"><span class="seq-summary-label">${label}</span><span>${game.i18n.localize("PF1SEQ.Result.Skipped")}</span></li>`;
+  }
+  if (!tracker.resolvedIndices.has(idx)) {
+    return `<li class="seq-summary-attack seq-pending"><span class="seq-summary-label">${label}</span><span>${game.i18n.localize("PF1SEQ.Result.NotRolled")}</span></li>`;
+  }
+
+  const ledger = tracker.ledgerOf(atk);
+  const result = tracker.resultOf(atk);
+  let html = `<li class="seq-summary-attack seq-resolved">`;
+  html += `<span class="seq-summary-label">${label}</span>`;
+  if (ledger?.messageId) {
+    html += `<a class="seq-summary-link" data-message-id="${ledger.messageId}" data-tooltip="${game.i18n.localize("PF1SEQ.Summary.ShowCard")}"><i class="fas fa-comment"></i></a>`;
+  }
+
+  if (result) {
+    html += `<span class="seq-summary-roll">d20 ${result.d20 ?? "—"} = <strong>${result.total}</strong></span>`;
+    if (result.threat) {
+      const threat = game.i18n.format("PF1SEQ.Result.Threat", { total: result.confirmTotal ?? "—" });
+      html += `<span class="seq-summary-threat">${threat}</span>`;
+    }
+    if (result.misfire) html += `<span class="seq-summary-misfire">${game.i18n.localize("PF1SEQ.Result.Misfire")}</span>`;
+
+    const outcomes = result.targets.map((target) => formatTargetOutcome(target));
+    if (outcomes.length) html += `<span class="seq-summary-targets">${outcomes.join(", ")}</span>`;
+
+    if (result.normal) {
+      const crit = result.targets.some((target) => target.confirmed) && result.critical !== result.normal;
+      html += `<span class="seq-summary-damage"><i class="fas fa-burst"></i> ${result.normal}${crit ? ` / ${result.critical}` : ""}</span>`;
+    }
+  } else {
+    const names = tracker.targetsOf(atk).map((uuid) => foundry.utils.escapeHTML(fromUuidSync(uuid)?.name ?? "?"));
+    if (names.length) html += `<span class="seq-summary-targets">${names.join(", ")}</span>`;
+  }
+
+  if (ledger?.ammo) {
+    const ammo = tracker.actor.items.get(ledger.ammoId);
+    html += `<span class="seq-summary-ammo"><i class="fas fa-bow-arrow"></i> ${foundry.utils.escapeHTML(ammo?.name ?? "?")}</span>`;
+  }
+
+  html += `</li>`;
+  return html;
+}
+
+/**
+ * Post the summary card of a sequence, if the user wants one.
+ * @param {SequentialAttackTracker} tracker
+ * @param {"completed"|"cancelled"} outcome
+ * @returns {Promise<ChatMessage|null>}
+ */
+export async function postSequenceSummary(tracker, outcome) {
+  if (getChatCardMode() === "individual") return null;
+  if (!tracker.resolvedIndices.size) return null;
+
+  const rolled = tracker.resolvedIndices.size;
+  const total = tracker.allAttacks.length;
+  let content = `<div class="pf1-sequential-summary">`;
+  content += `<header class="seq-summary-header"><span class="seq-summary-title">${foundry.utils.escapeHTML(tracker.displayTitle)}</span>`;
+  const progress = localizeCount("PF1SEQ.Tracker.Progress", total, { progress: rolled });
+  const cancelled = outcome === "cancelled" ? ` ${game.i18n.localize("PF1SEQ.Summary.Cancelled")}` : "";
+  content += `<span class="seq-summary-progress">${progress}${cancelled}</span></header>`;
+
+  content += `<ol class="seq-summary-attacks">`;
+  for (let i = 0; i < total; i++) content += _summarizeAttack(tracker, i);
+  content += `</ol>`;
+
+  const dealt = Object.values(tracker.damageDealt);
+  if (dealt.length) {
+    const totals = dealt.map(({ name, total }) => `<span>${foundry.utils.escapeHTML(name)}: <strong>${total}</strong></span>`).join("");
+    content += `<div class="seq-summary-totals"><i class="fas fa-heart-crack"></i> ${totals}</div>`;
+  }
+  content += `</div>`;
+
+  const actionUse = tracker.actionUse;
+  const chatData = {
+    content,
+    speaker: ChatMessage.getSpeaker({ actor: tracker.actor, token: actionUse.token?.document ?? actionUse.token }),
+    flags: { [SCOPE]: { summary: true } },
+  };
+  ChatMessage.applyRollMode(chatData, actionUse.shared.rollMode ?? game.settings.get("core", "rollMode"));
+  return ChatMessage.create(chatData);
+}
+
+/**
+ * Scroll to and highlight the attack card a summary links to.
+ * @param {ChatMessage} message
+ * @param {HTMLElement} html
+ */
+export function activateSummaryLinks(message, html) {
+  if (!message.getFlag(SCOPE, "summary")) return;
+  for (const link of html.querySelectorAll(".seq-summary-link")) {
+    link.addEventListener("click", (ev) => {
+      ev.preventDefault();
+      const card = ui.chat.element?.querySelector(`.message[data-message-id="${link.dataset.messageId}"]`);
+      if (!card) {
+        ui.notifications.warn(game.i18n.localize("PF1SEQ.Notify.CardMissing"));
+        return;
+      }
+      card.scrollIntoView({ behavior: "smooth", block: "center" });
+      card.classList.add("seq-summary-highlight");
+      setTimeout(() => card.classList.remove("seq-summary-highlight"), 1500);
+    });
+  }
+}
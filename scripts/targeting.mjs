@@ -0,0 +1,95 @@
+/* Per-Attack Targeting
+ *
+ * Helpers for binding targets to individual attacks: finding tokens within range of
+ * the action, picking targets from the tracker, and applying them as the user's targets.
+ */
+
+/**
+ * Tokens on the canvas within the action's range of the attacker, nearest first.
+ * Without an attacker token on the canvas, every visible token is listed.
+ * @param {ActionUse} actionUse
+ * @returns {{token: Token, distance: number|null}[]}
+ */
+export function getNearbyTokens(actionUse) {
+  if (!canvas.ready) return [];
+
+  const attacker = actionUse.token?.object ?? actionUse.token ?? null;
+  const range = actionUse.action.getRange?.({ type: "max", rollData: actionUse.shared.rollData }) ?? null;
+
+  const tokens = [];
+  for (const token of canvas.tokens.placeables) {
+    if (token === attacker || !token.actor || !token.visible) continue;
+
+    let distance = null;
+    if (attacker?.center) {
+      distance = Math.round(canvas.grid.measurePath([attacker.center, token.center]).distance);
+      if (range && distance > range) continue;
+    }
+    tokens.push({ token, distance });
+  }
+  return tokens.sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0));
+}
+
+/**
+ * Replace the user's targets with the given tokens.
+ * @param {string[]} uuids Token document UUIDs
+ */
+export function setUserTargets(uuids) {
+  const tokens = uuids.map((uuid) => fromUuidSync(uuid)?.object).filter((token) => token);
+  for (const token of [...game.user.targets]) {
+    if (!tokens.includes(token)) token.setTarget(false, { releaseOthers: false, groupSelection: true });
+  }
+  for (const token of tokens) {
+    if (!token.isTargeted) token.setTarget(true, { releaseOthers: false, groupSelection: true });
+  }
+  game.user.broadcastActivity({ targets: game.user.targets.ids });
+}
+
+/**
+ * @returns {string[]} UUIDs of the user's current targets
+ */
+export function getUserTargetUuids() {
+  return [...game.user.targets].map((token) => token.document.uuid);
+}
+
+/**
+ * Let the user choose targets for an attack among the tokens in range.
+ * @param {ActionUse} actionUse
+ * @param {string[]} selected UUIDs checked initially
+ * @param {string} label Attack label, for the title
+ * @returns {Promise<string[]|null>} Chosen token UUIDs, or null if the picker was closed
+ */
+export async function pickTargets(actionUse, selected, label) {
+  const nearby = getNearbyTokens(actionUse);
+  if (!nearby.length) {
+    ui.notifications.warn(game.i18n.localize("PF1SEQ.Notify.NoTokens"));
+    return null;
+  }
+
+  let content = `<div class="seq-target-picker">`;
+  for (const { token, distance } of nearby) {
+    const uuid = token.document.uuid;
+    const checked = selected.includes(uuid) ? " checked" : "";
+    const hostile = token.document.disposition === CONST.TOKEN_DISPOSITIONS.HOSTILE ? " seq-hostile" : "";
+    const dist = distance !== null ? `<span class="seq-target-distance">${distance} ${canvas.scene.grid.units}</span>` : "";
+    content += `<label class="seq-target-option${hostile}">
+      <input type="checkbox" name="${uuid}"${checked}>
+      <img src="${token.document.texture.src}" alt="">
+      <span class="seq-target-name">${foundry.utils.escapeHTML(token.name)}</span>
+      ${dist}
+    </label>`;
+  }
+  content += `</div>`;
+
+  return foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.format("PF1SEQ.Targeting.Title", { label }) },
+    classes: ["sequential-attack-dialog", "seq-target-dialog"],
+    position: { width: 300 },
+    content,
+    ok: {
+      label: game.i18n.localize("PF1SEQ.Targeting.Assign"),
+      callback: (event, button) => [...button.form.querySelectorAll("input:checked")].map((input) => input.name),
+    },
+    rejectClose: false,
+  });
+}
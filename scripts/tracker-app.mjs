@@ -0,0 +1,222 @@
+/* Sequential Attack Tracker Window
+ *
+ * The view of a SequentialAttackTracker: renders the tracker's context through the
+ * templates in templates/ and forwards clicks and edits to the tracker, which owns the
+ * sequence state. Only the parts a change affects are re-rendered.
+ */
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const SCOPE = "pf1-sequential-attacks";
+const TEMPLATES = `modules/${SCOPE}/templates`;
+
+export class SequentialTrackerApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {SequentialAttackTracker} tracker
+   * @param {object} [options]
+   */
+  constructor(tracker, options = {}) {
+    // Open where the last tracker was left
+    const saved = game.settings.get(SCOPE, "trackerPosition") ?? {};
+    const position = {};
+    if (Number.isFinite(saved.left)) position.left = saved.left;
+    if (Number.isFinite(saved.top)) position.top = saved.top;
+    super(foundry.utils.mergeObject({ position }, options));
+    this.tracker = tracker;
+  }
+
+  static DEFAULT_OPTIONS = {
+    classes: ["sequential-attack-dialog", "seq-tracker"],
+    window: { icon: "fas fa-list-ol", resizable: false },
+    position: { width: 340, height: "auto" },
+    actions: {
+      rollNext: SequentialTrackerApp.#onRollNext,
+      skip: SequentialTrackerApp.#onSkip,
+      pause: SequentialTrackerApp.#onPause,
+      cancel: SequentialTrackerApp.#onCancel,
+      finish: SequentialTrackerApp.#onFinish,
+      undo: SequentialTrackerApp.#onUndo,
+      toggleAuto: SequentialTrackerApp.#onToggleAuto,
+      moveAttack: SequentialTrackerApp.#onMoveAttack,
+      restoreAttack: SequentialTrackerApp.#onRestoreAttack,
+      pickTargets: SequentialTrackerApp.#onPickTargets,
+      applyDamage: SequentialTrackerApp.#onApplyDamage,
+    },
+  };
+
+  static PARTS = {
+    header: { template: `${TEMPLATES}/tracker-header.hbs` },
+    attacks: { template: `${TEMPLATES}/tracker-attacks.hbs` },
+    footer: { template: `${TEMPLATES}/tracker-footer.hbs` },
+  };
+
+  get title() {
+    return game.i18n.format("PF1SEQ.Tracker.Title", { title: this.tracker.title ?? this.tracker.actionUse.item.name });
+  }
+
+  async _prepareContext(options) {
+    const keys = Object.fromEntries(["rollNext", "skip", "undo", "cancel"].map((action) => [action, _keyLabel(action)]));
+    return { ...this.tracker._prepareContext(), keys };
+  }
+
+  /**
+   * Listen for edits once; the rows and fields they come from are re-rendered freely.
+   */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    const html = this.element;
+
+    html.addEventListener("change", (event) => {
+      const input = event.target;
+      if (input.matches(".seq-ammo-select")) {
+        const index = Number(input.closest(".seq-attack-row").dataset.index);
+        _reportErrors(this.tracker._setAmmo(index, input.value), "changing ammunition");
+      } else if (input.closest(".seq-options")) {
+        const sourceIndex = Number(input.closest(".seq-options-source").dataset.source);
+        const value = input.type === "checkbox" ? input.checked : input.value.trim();
+        _reportErrors(this.tracker._changeOption(sourceIndex, input.name, value, input.value), "changing an option");
+      }
+    });
+
+    // <details> toggles don't bubble
+    html.addEventListener(
+      "toggle",
+      (event) => {
+        if (event.target.matches(".seq-options")) this.tracker._optionsOpen = event.target.open;
+      },
+      true
+    );
+
+    // Drag and drop between pending rows
+    html.addEventListener("dragstart", (event) => {
+      const row = event.target.closest?.(".seq-attack-row[draggable]");
+      if (row) event.dataTransfer.setData("text/plain", row.dataset.index);
+    });
+    html.addEventListener("dragover", (event) => {
+      if (event.target.closest?.(".seq-attack-row[draggable]")) event.preventDefault();
+    });
+    html.addEventListener("drop", (event) => {
+      const row = event.target.closest?.(".seq-attack-row[draggable]");
+      if (!row) return;
+      event.preventDefault();
+      const from = Number(event.dataTransfer.getData("text/plain"));
+      this.tracker._moveAttack(from, Number(row.dataset.index));
+    });
+  }
+
+  _onPosition(position) {
+    super._onPosition?.(position);
+    this.#savePosition();
+  }
+
+  #savePosition = foundry.utils.debounce(() => {
+    const { left, top } = this.position;
+    game.settings.set(SCOPE, "trackerPosition", { left, top });
+  }, 500);
+
+  _onClose(options) {
+    super._onClose(options);
+    this.tracker._onWindowClosed();
+  }
+
+  /**
+   * @param {HTMLElement} target
+   * @returns {number} Index of the row the target is in
+   */
+  static #rowIndex(target) {
+    return Number(target.closest(".seq-attack-row").dataset.index);
+  }
+
+  static async #onRollNext(event, target) {
+    target.disabled = true;
+    target.classList.add("seq-btn-working");
+    try {
+      await this.tracker._rollNext();
+    } finally {
+      target.disabled = false;
+      target.classList.remove("seq-btn-working");
+    }
+  }
+
+  static #onSkip() {
+    this.tracker._skipCurrentAttack();
+  }
+
+  static #onPause() {
+    this.tracker._pause();
+  }
+
+  static #onCancel() {
+    this.tracker._cancel();
+  }
+
+  static #onFinish() {
+    this.tracker._finish();
+  }
+
+  static #onToggleAuto() {
+    this.tracker._toggleAuto();
+  }
+
+  static async #onUndo() {
+    try {
+      await this.tracker._undoLastAttack();
+    } catch (err) {
+      console.error("pf1-sequential-attacks | Error undoing sequential attack:", err);
+      ui.notifications.error(game.i18n.localize("PF1SEQ.Notify.ErrorUndo"));
+    }
+  }
+
+  static #onMoveAttack(event, target) {
+    if (target.classList.contains("disabled")) return;
+    const from = SequentialTrackerApp.#rowIndex(target);
+    const positions = this.tracker._movablePositions();
+    this.tracker._moveAttack(from, positions[positions.indexOf(from) + Number(target.dataset.step)]);
+  }
+
+  static #onRestoreAttack(event, target) {
+    this.tracker._restoreSkippedAttack(SequentialTrackerApp.#rowIndex(target));
+  }
+
+  static #onPickTargets(event, target) {
+    // Shift-click assigns the user's current targets without opening the picker
+    return this.tracker._pickTargets(SequentialTrackerApp.#rowIndex(target), { useCurrent: event.shiftKey });
+  }
+
+  static async #onApplyDamage(event, target) {
+    try {
+      await this.tracker._applyDamage(SequentialTrackerApp.#rowIndex(target), {
+        critical: !!target.dataset.critical,
+        ratio: Number(target.dataset.ratio),
+        forceDialog: !event.shiftKey,
+      });
+    } catch (err) {
+      console.error("pf1-sequential-attacks | Error applying damage:", err);
+      ui.notifications.error(game.i18n.localize("PF1SEQ.Notify.ErrorDamage"));
+    }
+  }
+}
+
+/**
+ * Report a failed edit. Event listeners aren't awaited, so nothing else would.
+ * @param {Promise} promise The edit in progress
+ * @param {string} doing What the edit does, for the console
+ */
+function _reportErrors(promise, doing) {
+  Promise.resolve(promise).catch((err) => {
+    console.error(`pf1-sequential-attacks | Error ${doing}:`, err);
+    ui.notifications.error(game.i18n.localize("PF1SEQ.Notify.ErrorEdit"));
+  });
+}
+
+/**
+ * The first key bound to a tracker shortcut, for display on its button.
+ * @param {string} action Keybinding name
+ * @returns {string} E.g. "Shift+N", or an empty string when unbound
+ */
+function _keyLabel(action) {
+  const binding = game.keybindings.get(SCOPE, action)?.[0];
+  if (!binding) return "";
+  const key = binding.key.replace(/^(Key|Digit)/, "");
+  return [...(binding.modifiers ?? []), key].join("+");
+}
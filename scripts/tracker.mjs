@@ -0,0 +1,1682 @@
+/* Sequential Attack Tracker
+ *
+ * Drives the roll-and-post cycle of a sequence one attack at a time and holds its state;
+ * the window listing the attacks is a SequentialTrackerApp (see tracker-app.mjs).
+ * Attacks may come from several sources (ActionUses), see sequence.mjs.
+ */
+
+import { isSpellLike } from "./compat.mjs";
+import { evaluateAttack, formatResult } from "./evaluation.mjs";
+import { applyAttackDamage, getDamageTotals } from "./damage.mjs";
+import { getNearbyTokens, getUserTargetUuids, pickTargets, setUserTargets } from "./targeting.mjs";
+import { saveSequenceState, serializeSequence } from "./persistence.mjs";
+import { getChatCardMode } from "./summary.mjs";
+import { reportSequence, reportSequenceEnd } from "./monitor.mjs";
+import { checkActorTurn, getActorCombatant, getCombatPosition } from "./combat.mjs";
+import { SequentialTrackerApp } from "./tracker-app.mjs";
+import { localizeCount } from "./i18n.mjs";
+import { callAttackAnimation, showAttackDice, TargetFocus, waitsForDice } from "./animation.mjs";
+
+/**
+ * Why an attack was left out before the sequence started.
+ */
+const DROP_REASONS = {
+  ammo: "PF1SEQ.Tracker.DroppedAmmo",
+  charges: "PF1SEQ.Tracker.DroppedCharges",
+};
+
+/**
+ * Attack dialog options that each add an extra attack, of the type named after the option.
+ * Their attacks can be set aside and brought back from the tracker while still pending.
+ */
+const EXTRA_ATTACK_OPTIONS = {
+  "haste-attack": "PF1.Haste",
+  "rapid-shot": "PF1.RapidShot",
+  manyshot: "PF1.Manyshot",
+  "flurry-of-blows": "PF1.FlurryOfBlows",
+};
+
+/**
+ * Chat card data of a spell-like item that belongs to the casting rather than to one attack:
+ * the spell's description, its spell failure roll and the concentration and caster level
+ * check buttons. Only the card of the first attack rolled from the item keeps it.
+ */
+const CASTING_TEMPLATE_DATA = ["isSpell", "description", "spellFailure", "spellFailureSuccess"];
+
+// ---- Sequential Attack Tracker ---- //
+
+export class SequentialAttackTracker {
+  /**
+   * Open trackers, keyed by actor UUID.
+   * @type {Map<string, SequentialAttackTracker>}
+   */
+  static active = new Map();
+
+  /**
+   * The open tracker keyboard shortcuts apply to: the focused tracker window, or the
+   * frontmost one when none has focus.
+   * @type {SequentialAttackTracker|null}
+   */
+  static get focused() {
+    const open = [...this.active.values()].filter((tracker) => tracker.app?.rendered && !tracker._completed);
+    const active = open.find((tracker) => tracker.app === ui.activeWindow);
+    if (active) return active;
+    return open.sort((a, b) => (b.app.position.zIndex ?? 0) - (a.app.position.zIndex ?? 0))[0] ?? null;
+  }
+
+  /**
+   * @param {object[]} sources See runSequence()
+   * @param {object[]} allAttacks Attacks of all sources, in the order they are presented
+   * @param {object} [options]
+   * @param {string|null} [options.title]
+   * @param {string|null} [options.routineId]
+   * @param {object|null} [options.state] Saved sequence state to continue from
+   * @param {string|null} [options.templateUuid]
+   */
+  constructor(sources, allAttacks, { title = null, routineId = null, state = null, templateUuid = null } = {}) {
+    this.sources = sources;
+    this.actionUse = sources[0].actionUse;
+    this.allAttacks = allAttacks;
+    this.title = title;
+    this.routineId = routineId;
+    this.currentIndex = state?.currentIndex ?? 0;
+    this.resolvedIndices = new Set(state?.resolved ?? []);
+    this.skippedIndices = new Set(state?.skipped ?? []);
+    this.templateUuid = templateUuid;
+    this.resumed = !!state;
+
+    // Which source each attack belongs to, and its index among that source's attacks
+    // (what the system uses for attackCount and conditional targeting)
+    this._attackInfo = new Map();
+    for (const [sourceIndex, source] of sources.entries()) {
+      for (const [localIndex, atk] of source.attacks.entries()) {
+        this._attackInfo.set(atk, { source: sourceIndex, localIndex });
+      }
+    }
+
+    // Whether each source's once-per-use cost has been paid, and how much it is. The charge
+    // cost only lives in rollData until the first per-attack refresh, so capture it up front.
+    for (const [sourceIndex, source] of sources.entries()) {
+      source.useConsumed = state?.sources?.[sourceIndex]?.useConsumed ?? false;
+      source.useChargeCost = source.actionUse.shared.rollData?.chargeCost ?? 0;
+      source.dropped ??= [];
+      // Extra attacks taken out of the queue by turning their option off, by option
+      source.setAside ??= {};
+    }
+
+    // Side effects of each rolled attack (chat message, ammo, charges, uses), for undo,
+    // and the evaluated rolls shown on resolved rows
+    this._ledger = new Map();
+    this._results = new Map();
+    // Token UUIDs per attack: pre-assigned for pending attacks, rolled against for resolved ones
+    this._targets = new Map();
+    for (const [i, atk] of allAttacks.entries()) {
+      const ledger = state?.attacks?.[i]?.ledger;
+      if (ledger) this._ledger.set(atk, ledger);
+      const result = state?.attacks?.[i]?.result;
+      if (result) this._results.set(atk, result);
+      const targets = state?.attacks?.[i]?.targets;
+      if (targets?.length) this._targets.set(atk, targets);
+    }
+
+    /**
+     * Damage applied from the tracker per target token UUID, for the running totals.
+     * @type {Record<string, {name: string, total: number}>}
+     */
+    this.damageDealt = {};
+    for (const { uuid, name, total } of state?.damageDealt ?? []) this.damageDealt[uuid] = { name, total };
+
+    /**
+     * Name of a target that dropped since the last attack, while waiting for a retarget.
+     * @type {string|null}
+     */
+    this._droppedTarget = null;
+
+    // Whether the options panel is expanded, kept across re-renders
+    this._optionsOpen = false;
+
+    // Whether the remaining attacks are being rolled unattended (see _autoStep())
+    this._auto = false;
+
+    /**
+     * When the tracker opened and where the combat stood, for the sequence history.
+     * @type {{timestamp: number, combat: object|null}|null}
+     */
+    this.started = null;
+
+    /**
+     * Who or what cancelled the sequence: "user", "gm", "turnEnd" or "api".
+     * @type {string|null}
+     */
+    this.cancelReason = null;
+
+    // Ring around the current attack's targets on the canvas
+    this._focus = new TargetFocus();
+
+    this.app = null;
+    this._resolve = null; // Promise resolve callback
+  }
+
+  /**
+   * @param {object} atk
+   * @returns {object|null} What rolling the attack consumed, if it was rolled
+   */
+  ledgerOf(atk) {
+    return this._ledger.get(atk) ?? null;
+  }
+
+  /**
+   * @param {object} atk
+   * @returns {string[]} Token UUIDs assigned to the attack, or that it was rolled against
+   */
+  targetsOf(atk) {
+    return this._targets.get(atk) ?? [];
+  }
+
+  /**
+   * @param {object} atk
+   * @returns {object|null} The evaluated roll, if the attack was rolled and had an attack roll
+   */
+  resultOf(atk) {
+    return this._results.get(atk) ?? null;
+  }
+
+  /**
+   * @param {number} idx Index into allAttacks
+   * @returns {object} The source the attack belongs to
+   */
+  sourceOf(idx) {
+    return this.sources[this._attackInfo.get(this.allAttacks[idx]).source];
+  }
+
+  /**
+   * @param {number} idx Index into allAttacks
+   * @returns {{source: number, localIndex: number}}
+   */
+  attackInfo(idx) {
+    return this._attackInfo.get(this.allAttacks[idx]);
+  }
+
+  /**
+   * Title shown in the window and header.
+   */
+  get displayTitle() {
+    return this.title ?? `${this.actionUse.item.name} — ${this.actionUse.action.name}`;
+  }
+
+  get actor() {
+    return this.actionUse.actor ?? this.actionUse.item.actor;
+  }
+
+  /**
+   * Plain description of the sequence and every attack in it, for the public API and hooks.
+   * @returns {object}
+   */
+  summarize() {
+    const attacks = this.allAttacks.map((atk, index) => {
+      const { item, action } = this.sourceOf(index).actionUse;
+      let status = "pending";
+      if (this.resolvedIndices.has(index)) status = "rolled";
+      else if (this.skippedIndices.has(index)) status = "skipped";
+      return {
+        index,
+        label: atk.label,
+        itemId: item.id,
+        actionId: action.id,
+        status,
+        targets: [...this.targetsOf(atk)],
+        result: foundry.utils.deepClone(this.resultOf(atk)),
+        messageId: this.ledgerOf(atk)?.messageId ?? null,
+      };
+    });
+
+    return {
+      actorUuid: this.actor.uuid,
+      title: this.displayTitle,
+      routineId: this.routineId,
+      currentIndex: this.currentIndex,
+      completed: !!this._completed,
+      attacks,
+      damageDealt: foundry.utils.deepClone(this.damageDealt),
+    };
+  }
+
+  /**
+   * Opens the tracker window and runs the sequential loop.
+   * @returns {Promise<string>} "completed", "cancelled" or "paused"
+   */
+  async run() {
+    SequentialAttackTracker.active.set(this.actor.uuid, this);
+    this.started = { timestamp: Date.now(), combat: getCombatPosition(this.actor) };
+    const hooks = this._registerHooks();
+    reportSequence(this);
+    const result = await new Promise((resolve) => {
+      this._resolve = resolve;
+      this.app = new SequentialTrackerApp(this);
+      this.app.render({ force: true });
+      this._refreshPreviews();
+      this._focusTargets();
+      Hooks.callAll("pf1SequentialStart", this, { resumed: this.resumed });
+    });
+    for (const [hook, id] of hooks) Hooks.off(hook, id);
+    this._focus.clear();
+    SequentialAttackTracker.active.delete(this.actor.uuid);
+    reportSequenceEnd(this);
+    return result;
+  }
+
+  /**
+   * Register the hooks the tracker listens to while open.
+   * @returns {Array<[string, number]>} Hook names and IDs, for removal
+   */
+  _registerHooks() {
+    const hooks = [];
+    if (game.settings.get("pf1-sequential-attacks", "stopOnDrop")) {
+      hooks.push(["updateActor", Hooks.on("updateActor", this._onTargetUpdate.bind(this))]);
+      hooks.push(["targetToken", Hooks.on("targetToken", this._onTargetChange.bind(this))]);
+    }
+    if (game.settings.get("pf1-sequential-attacks", "targetFocus") !== "none") {
+      hooks.push(["targetToken", Hooks.on("targetToken", () => this._focusTargets())]);
+    }
+    if (game.settings.get("pf1-sequential-attacks", "turnEndBehavior") !== "none") {
+      hooks.push(["updateCombat", Hooks.on("updateCombat", this._onCombatTurn.bind(this))]);
+    }
+
+    // Buffs, conditions and equipment change the bonuses of attacks still to come
+    const actor = this.actor;
+    const affects = (doc) => doc === actor || doc.parent === actor || doc.parent?.parent === actor;
+    const refresh = foundry.utils.debounce(() => this._refreshPreviews(), 100);
+    const onChange = (doc) => {
+      if (affects(doc)) refresh();
+    };
+    for (const hook of ["updateActor", "createItem", "updateItem", "deleteItem", "createActiveEffect", "updateActiveEffect", "deleteActiveEffect"]) {
+      hooks.push([hook, Hooks.on(hook, onChange)]);
+    }
+    return hooks;
+  }
+
+  /**
+   * Refresh the rollData of every source with attacks left, so the bonuses shown for
+   * pending attacks match what they would roll now.
+   */
+  async _refreshPreviews() {
+    if (this._completed || this._busy) return;
+    for (const source of this._pendingSources()) await this._refreshRollData(source);
+    this._updateDialog();
+  }
+
+  /**
+   * @returns {Set<object>} Sources with attacks still to roll
+   */
+  _pendingSources() {
+    const pending = new Set();
+    for (let i = this.currentIndex; i < this.allAttacks.length; i++) {
+      if (!this.resolvedIndices.has(i) && !this.skippedIndices.has(i)) pending.add(this.sourceOf(i));
+    }
+    return pending;
+  }
+
+  /**
+   * Whether an attack gets the charge bonus. Only the first attack actually rolled in the
+   * sequence does, whichever that is once skips and undos are accounted for.
+   * @param {number} idx Index into allAttacks
+   * @returns {boolean}
+   */
+  _getsChargeBonus(idx) {
+    const first = this.resolvedIndices.size ? Math.min(...this.resolvedIndices) : this.currentIndex;
+    return idx === first;
+  }
+
+  /**
+   * The attack bonus parts of a source that apply to an attack.
+   * @param {number} idx Index into allAttacks
+   * @returns {string[]}
+   */
+  _sharedAttackBonus(idx) {
+    const attackBonus = this.sourceOf(idx).actionUse.shared.attackBonus ?? [];
+    if (this._getsChargeBonus(idx)) return attackBonus;
+    const chargeTag = `[${game.i18n.localize("PF1.Charge")}]`;
+    return attackBonus.filter((part) => !part?.includes?.(chargeTag));
+  }
+
+  /**
+   * Break down what an attack would add to its d20 roll right now.
+   * @param {number} idx Index into allAttacks
+   * @returns {{label: string, value: number}[]}
+   */
+  _attackBonusParts(idx) {
+    const atk = this.allAttacks[idx];
+    const shared = this.sourceOf(idx).actionUse.shared;
+    const rollData = shared.rollData;
+
+    const parts = [];
+    const add = (formula, label) => {
+      const value = pf1.dice.RollPF.safeRollSync(formula, rollData, undefined, undefined, { minimize: true }).total ?? 0;
+      if (value) parts.push({ label, value });
+    };
+    add(atk.attackBonus, atk.label);
+    for (const part of this._sharedAttackBonus(idx)) add(part, /\[([^\]]+)\]/.exec(part)?.[1] ?? part);
+    return parts;
+  }
+
+  /**
+   * Damage formula an attack would roll right now, with roll data substituted.
+   * @param {number} idx Index into allAttacks
+   * @returns {string}
+   */
+  _damagePreview(idx) {
+    const source = this.sourceOf(idx);
+    const action = source.actionUse.action;
+    const shared = source.actionUse.shared;
+    const rollData = shared.rollData;
+
+    const parts = (action.damage?.parts ?? []).map((part) => part.formula).filter((formula) => formula);
+    if (!parts.length) return "";
+
+    const abl = action.ability?.damage;
+    const mod = abl ? rollData.abilities?.[abl]?.mod ?? 0 : 0;
+    const ablDamage = mod < 0 ? mod : Math.floor(mod * (rollData.ablMult ?? 1));
+    if (ablDamage) parts.push(`${ablDamage}`);
+    if (rollData.powerAttackBonus) parts.push(`${rollData.powerAttackBonus}`);
+    parts.push(...(shared.damageBonus ?? []));
+
+    return pf1.utils.formula.simplify(parts.join(" + "), rollData);
+  }
+
+  /**
+   * Skip or cancel the attacks left once the actor's combat turn is over.
+   */
+  async _onCombatTurn(combat, changes) {
+    if (this._completed || combat !== game.combat) return;
+    if (!("turn" in changes || "round" in changes)) return;
+    const combatant = getActorCombatant(this.actor);
+    if (!combatant || combat.combatant?.id === combatant.id) return;
+
+    if (game.settings.get("pf1-sequential-attacks", "turnEndBehavior") === "cancel") {
+      ui.notifications.info(game.i18n.format("PF1SEQ.Notify.TurnEndedCancel", { actor: this.actor.name }));
+      this._cancel("turnEnd");
+    } else {
+      ui.notifications.info(game.i18n.format("PF1SEQ.Notify.TurnEndedSkip", { actor: this.actor.name }));
+      await this._settle();
+      await this._skipRemaining();
+    }
+  }
+
+  /**
+   * Stop for a retarget when a current target drops to 0 HP or below.
+   */
+  _onTargetUpdate(actor, changes) {
+    if (this._completed) return;
+    if (!foundry.utils.hasProperty(changes, "system.attributes.hp")) return;
+    if ((actor.system.attributes.hp?.value ?? 1) > 0) return;
+
+    const token = [...game.user.targets].find((t) => t.actor === actor);
+    if (!token) return;
+
+    token.setTarget(false, { releaseOthers: false });
+    this._droppedTarget = token.name;
+    this._updateDialog(["footer"]);
+  }
+
+  /**
+   * Clear the retarget prompt once the user picks a new target.
+   */
+  _onTargetChange(user, token, targeted) {
+    if (user !== game.user || !targeted || !this._droppedTarget) return;
+    this._droppedTarget = null;
+    this._updateDialog(["footer"]);
+  }
+
+  /**
+   * Store the current progress on the actor so the sequence can be resumed later.
+   */
+  async persist() {
+    if (this._completed) return;
+    try {
+      await saveSequenceState(this.actor, serializeSequence(this));
+    } catch (err) {
+      console.error("pf1-sequential-attacks | Failed to save sequence state:", err);
+    }
+  }
+
+  /**
+   * Wait until a roll or undo in progress has finished. Ending the sequence halfway
+   * through one would leave an attack paid for but still pending in the saved state.
+   */
+  async _settle() {
+    while (this._busy) await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  /**
+   * Close the dialog and leave the saved state in place for a later resume.
+   */
+  async _pause() {
+    await this._settle();
+    if (this._completed) return;
+    await this.persist();
+    this._completed = true;
+    this._resolve("paused");
+    this.app.close();
+  }
+
+  /**
+   * Close the dialog and abandon the remaining attacks.
+   * @param {string} [reason="user"] Recorded in the sequence history
+   */
+  async _cancel(reason = "user") {
+    await this._settle();
+    if (this._completed) return;
+    this._completed = true;
+    this.cancelReason = reason;
+    this._resolve("cancelled");
+    this.app.close();
+  }
+
+  /**
+   * Close the tracker of a completed sequence.
+   */
+  _finish() {
+    this._completed = true;
+    this._resolve("completed");
+    this.app.close();
+  }
+
+  /**
+   * Ask whether a window closed from its header should pause or cancel the sequence.
+   */
+  async _promptClose() {
+    await this._settle();
+    // The roll in progress may have been the last one
+    if (this._completed) {
+      this._resolve("completed");
+      return;
+    }
+    await this.persist();
+    this._completed = true;
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: "PF1SEQ.Dialog.CloseTitle" },
+      classes: ["sequential-attack-dialog"],
+      content: `<p>${game.i18n.localize("PF1SEQ.Dialog.CloseContent")}</p>`,
+      buttons: [
+        { action: "paused", icon: "fas fa-pause", label: "PF1SEQ.Dialog.Pause", default: true },
+        { action: "cancelled", icon: "fas fa-times", label: "PF1SEQ.Dialog.CancelAttacks" },
+      ],
+      rejectClose: false,
+    });
+    if (choice === "cancelled") this.cancelReason = "user";
+    this._resolve(choice ?? "paused");
+  }
+
+  /**
+   * Called when the tracker window closes, by any means. A sequence with attacks left
+   * lets the user pause or cancel it.
+   */
+  _onWindowClosed() {
+    clearTimeout(this._closeTimer);
+    clearTimeout(this._autoTimer);
+    this._auto = false;
+    if (!this._completed) {
+      this._promptClose();
+      return;
+    }
+    // Closed from its header after the last attack, before the auto-close
+    this._resolve("completed");
+  }
+
+  /**
+   * Data for the tracker window's templates.
+   * @returns {object}
+   */
+  _prepareContext() {
+    const attacks = this.allAttacks;
+    const movablePositions = this._completed ? [] : this._movablePositions();
+    const lastUnits = this._completed ? [] : this._lastUnitsOf(this.currentIndex);
+    return {
+      title: this.displayTitle,
+      progressLabel: localizeCount("PF1SEQ.Tracker.Progress", attacks.length, {
+        progress: this._completed ? attacks.length : this.currentIndex + 1,
+      }),
+      attacks: attacks.map((atk, i) => this._prepareAttack(i, movablePositions)),
+      dropped: this._prepareDropped(),
+      resources: this._prepareResources(lastUnits),
+      lastUnits: lastUnits.map((unit) => unit.warning),
+      damageTotals: Object.values(this.damageDealt),
+      droppedTarget: this._completed ? null : this._droppedTarget,
+      options: this._completed ? [] : this._prepareOptions(),
+      optionsOpen: this._optionsOpen,
+      completed: !!this._completed,
+      isLast: this.currentIndex === attacks.length - 1,
+      canUndo: this.resolvedIndices.size > 0,
+      autoRunning: this._auto,
+      rolling: !!this._busy,
+    };
+  }
+
+  /**
+   * One row of the attack list.
+   * @param {number} idx Index into allAttacks
+   * @param {number[]} movablePositions
+   * @returns {object}
+   */
+  _prepareAttack(idx, movablePositions) {
+    const atk = this.allAttacks[idx];
+    const isResolved = this.resolvedIndices.has(idx);
+    const isSkipped = this.skippedIndices.has(idx);
+    const isCurrent = idx === this.currentIndex && !this._completed;
+    const isPending = !isResolved && !isSkipped;
+
+    let status = "seq-pending";
+    let icon = "fas fa-circle-notch";
+    if (isSkipped) {
+      status = "seq-skipped";
+      icon = "fas fa-forward";
+    } else if (isResolved) {
+      status = "seq-resolved";
+      icon = "fas fa-check-circle";
+    } else if (isCurrent) {
+      status = "seq-current";
+      icon = "fas fa-crosshairs";
+    }
+
+    const source = this.sourceOf(idx);
+    const result = isResolved ? this.resultOf(atk) : null;
+    // Pending attacks follow the actor's current state; rolled ones show the bonus they were rolled with
+    const bonusParts = isResolved ? [] : this._attackBonusParts(idx);
+    let bonusTotal = bonusParts.reduce((total, part) => total + part.value, 0);
+    if (isResolved) bonusTotal = Number.isFinite(result?.d20) ? result.total - result.d20 : null;
+
+    // Rows with a result already list their targets with the hit/miss outcome
+    const canPickTargets = isPending && !this._completed;
+    const targets = (isResolved && !result) || canPickTargets
+      ? this.targetsOf(atk).map((uuid) => fromUuidSync(uuid)?.name ?? "?").join(", ")
+      : "";
+
+    const movable = movablePositions.includes(idx);
+    const pos = movablePositions.indexOf(idx);
+
+    return {
+      index: idx,
+      status,
+      icon,
+      // Attacks from several items need the item name to tell them apart
+      label: this.sources.length > 1 ? `${source.actionUse.item.name}: ${atk.label}` : atk.label,
+      targets,
+      canPickTargets,
+      ammo: isPending ? this._prepareAmmo(idx) : null,
+      draggable: movable,
+      move: movable && movablePositions.length > 1 ? { first: pos === 0, last: pos === movablePositions.length - 1 } : null,
+      restorable: isSkipped,
+      damage: isPending ? this._damagePreview(idx) : "",
+      bonus: bonusTotal === null ? "" : bonusTotal >= 0 ? `+${bonusTotal}` : `${bonusTotal}`,
+      bonusTooltip: isPending
+        ? bonusParts.map(({ label, value }) => `${value >= 0 ? "+" : ""}${value} ${foundry.utils.escapeHTML(label)}`).join("<br>")
+        : "",
+      result: result ? formatResult(result) : "",
+      damageControls: result ? this._prepareDamageControls(result) : null,
+    };
+  }
+
+  /**
+   * Dialog choices that can still change for the attacks left: power attack, situational
+   * bonuses, conditionals and extra attacks, per source with pending or set aside attacks.
+   * @returns {object[]}
+   */
+  _prepareOptions() {
+    const options = [];
+    const sources = new Set(this._pendingSources());
+    for (const source of this.sources) if (Object.keys(source.setAside).length) sources.add(source);
+    for (const source of sources) {
+      const { action, item, shared } = source.actionUse;
+      const form = shared.formData ?? {};
+
+      const powerAttack = form["power-attack"] !== undefined
+        ? { label: game.i18n.localize(_powerAttackLabel(action)), checked: !!shared.powerAttack }
+        : null;
+      const conditionals = [...(action.conditionals ?? [])].map((conditional) => ({
+        id: conditional.id,
+        name: conditional.name,
+        checked: !!shared.conditionals?.includes(conditional.id),
+      }));
+      const formulas = [
+        ["attack-bonus", "PF1SEQ.Tracker.AttackBonus"],
+        ["damage-bonus", "PF1SEQ.Tracker.DamageBonus"],
+      ]
+        .filter(([name]) => form[name] !== undefined)
+        .map(([name, label]) => ({ name, label: game.i18n.localize(label), value: form[name] ?? "" }));
+      // Extra attacks that were rolled already are past changing
+      const extraAttacks = Object.entries(EXTRA_ATTACK_OPTIONS)
+        .filter(([name]) => source.setAside[name] || this._pendingExtraAttacks(source, name).length)
+        .map(([name, label]) => ({ name, label: game.i18n.localize(label), checked: !source.setAside[name] }));
+      if (!powerAttack && !conditionals.length && !formulas.length && !extraAttacks.length) continue;
+
+      options.push({
+        source: this.sources.indexOf(source),
+        item: this.sources.length > 1 ? item.name : null,
+        powerAttack,
+        conditionals,
+        formulas,
+        extraAttacks,
+      });
+    }
+    return options;
+  }
+
+  /**
+   * Change a dialog choice of a source for the attacks it has left.
+   * @param {number} sourceIndex
+   * @param {string} name Field name, as in the attack dialog
+   * @param {boolean|string} value
+   * @param {string} [conditionalId] For conditional toggles
+   */
+  async _changeOption(sourceIndex, name, value, conditionalId) {
+    if (this._busy || this._completed) return;
+    const source = this.sources[sourceIndex];
+    const actionUse = source.actionUse;
+    const shared = actionUse.shared;
+    const form = shared.formData;
+
+    this._busy = true;
+    try {
+      switch (name) {
+        case "power-attack": {
+          form["power-attack"] = value;
+          shared.powerAttack = value;
+          // The penalty sits among the attack bonuses; swap it for one matching the current BAB
+          const tag = `[${game.i18n.localize(_powerAttackLabel(actionUse.action))}]`;
+          shared.attackBonus = shared.attackBonus.filter((part) => !part?.includes?.(tag));
+          const rollData = await this._refreshRollData(source);
+          if (value) shared.attackBonus.push(`${rollData.powerAttackPenalty}${tag}`);
+          break;
+        }
+        case "attack-bonus":
+        case "damage-bonus": {
+          const parts = name === "attack-bonus" ? shared.attackBonus : shared.damageBonus;
+          const previous = parts.indexOf(form[name]);
+          if (form[name] && previous !== -1) parts.splice(previous, 1);
+          form[name] = value;
+          if (value) parts.push(value);
+          break;
+        }
+        case "conditional": {
+          const ids = new Set(shared.conditionals ?? []);
+          if (value) ids.add(conditionalId);
+          else ids.delete(conditionalId);
+          shared.conditionals = [...ids];
+          // Rebuild the conditional parts from scratch rather than patching them
+          shared.conditionalPartsCommon = {};
+          await actionUse.handleConditionals();
+          break;
+        }
+        default: {
+          if (!(name in EXTRA_ATTACK_OPTIONS)) break;
+          form[name] = value;
+          if (value) this._restoreExtraAttacks(source, name);
+          else this._setAsideExtraAttacks(source, name);
+          break;
+        }
+      }
+    } finally {
+      this._busy = false;
+    }
+
+    // Setting aside the last attack left finishes the sequence
+    if (this._completed) this._updateDialog();
+    else await this._refreshPreviews();
+    await this.persist();
+  }
+
+  /**
+   * @param {object} source
+   * @param {string} name One of EXTRA_ATTACK_OPTIONS
+   * @returns {number[]} Positions of the source's pending attacks added by the option
+   */
+  _pendingExtraAttacks(source, name) {
+    return this._movablePositions().filter((i) => this.sourceOf(i) === source && this.allAttacks[i].type === name);
+  }
+
+  /**
+   * Take the pending attacks an option added out of the queue, along with the attack
+   * bonus parts the option brought (e.g. the Rapid Shot penalty), until it is turned back on.
+   * Pending attacks all come after the finished ones, so no finished position shifts.
+   * @param {object} source
+   * @param {string} name One of EXTRA_ATTACK_OPTIONS
+   */
+  _setAsideExtraAttacks(source, name) {
+    const positions = this._pendingExtraAttacks(source, name);
+    if (!positions.length) return;
+    const attacks = positions.map((i) => this.allAttacks[i]);
+    for (const i of positions.reverse()) this.allAttacks.splice(i, 1);
+
+    const shared = source.actionUse.shared;
+    const tag = `[${game.i18n.localize(EXTRA_ATTACK_OPTIONS[name])}]`;
+    const attackBonus = shared.attackBonus.filter((part) => part?.includes?.(tag));
+    shared.attackBonus = shared.attackBonus.filter((part) => !attackBonus.includes(part));
+
+    source.setAside[name] = { attacks, attackBonus };
+    if (this.currentIndex >= this.allAttacks.length) this._completed = true;
+  }
+
+  /**
+   * Put attacks set aside by _setAsideExtraAttacks() back at the end of the queue, with
+   * the ammunition they had loaded.
+   * @param {object} source
+   * @param {string} name One of EXTRA_ATTACK_OPTIONS
+   */
+  _restoreExtraAttacks(source, name) {
+    const setAside = source.setAside[name];
+    if (!setAside) return;
+    delete source.setAside[name];
+    this.allAttacks.push(...setAside.attacks);
+    source.actionUse.shared.attackBonus.push(...setAside.attackBonus);
+  }
+
+  /**
+   * Ammunition choices of a pending row, for actions that use ammunition.
+   * @param {number} idx Index into allAttacks
+   * @returns {object[]|null}
+   */
+  _prepareAmmo(idx) {
+    const atk = this.allAttacks[idx];
+    const action = this.sourceOf(idx).actionUse.action;
+    if (!action.ammo?.type || !atk.hasAmmo) return null;
+
+    const cost = action.ammo.cost ?? 1;
+    return _validAmmo(this.actor, action).map((ammo) => {
+      const selected = ammo.id === atk.ammo?.id;
+      const quantity = ammo.system.abundant ? "∞" : ammo.system.quantity ?? 0;
+      return {
+        id: ammo.id,
+        name: ammo.name,
+        quantity,
+        selected,
+        disabled: !selected && !ammo.system.abundant && quantity < cost,
+      };
+    });
+  }
+
+  /**
+   * Attacks left out before the sequence started, for lack of ammunition or charges.
+   * @returns {{label: string, reason: string}[]}
+   */
+  _prepareDropped() {
+    return this.sources.flatMap((source) =>
+      source.dropped.map(({ label, reason }) => ({
+        label: this.sources.length > 1 ? `${source.actionUse.item.name}: ${label}` : label,
+        reason: game.i18n.localize(DROP_REASONS[reason]),
+      }))
+    );
+  }
+
+  /**
+   * What the sequence has left to spend: the ammunition its attacks are loaded with, the
+   * charges of charged items and the uses of self-charged actions.
+   * @param {object[]} lastUnits As returned by _lastUnitsOf(), to flag
+   * @returns {object[]}
+   */
+  _prepareResources(lastUnits) {
+    const resources = new Map();
+    for (const atk of this.allAttacks) {
+      const ammo = atk.hasAmmo ? this.actor.items.get(atk.ammo?.id) : null;
+      if (!ammo) continue;
+      const value = ammo.system.abundant ? "∞" : ammo.system.quantity ?? 0;
+      resources.set(ammo.id, { icon: "fas fa-bow-arrow", name: ammo.name, value });
+    }
+    for (const source of this.sources) {
+      const { action, item } = source.actionUse;
+      if (item.isCharged && source.useChargeCost > 0) {
+        resources.set(item.id, { icon: "fas fa-bolt", name: item.name, value: item.charges, max: item.maxCharges });
+      }
+      if (action.isSelfCharged) {
+        const { value, max } = action.uses.self;
+        resources.set(`${item.id}.${action.id}`, { icon: "fas fa-hourglass-half", name: action.name, value, max });
+      }
+    }
+
+    const last = new Set(lastUnits.map((unit) => unit.key));
+    return [...resources].map(([key, resource]) => ({ ...resource, last: last.has(key) }));
+  }
+
+  /**
+   * What rolling an attack would spend the last of: ammunition, charges or uses that
+   * would no longer cover another attack afterwards.
+   * @param {number} idx Index into allAttacks
+   * @returns {{key: string, warning: string}[]} Keyed as in _prepareResources()
+   */
+  _lastUnitsOf(idx) {
+    const atk = this.allAttacks[idx];
+    if (!atk) return [];
+    const source = this.sourceOf(idx);
+    const { action, item } = source.actionUse;
+    const units = [];
+
+    const ammoCost = action.ammo?.cost ?? 0;
+    const ammo = atk.hasAmmo && ammoCost > 0 ? this.actor.items.get(atk.ammo?.id) : null;
+    const quantity = ammo?.system.quantity ?? 0;
+    if (ammo && !ammo.system.abundant && quantity >= ammoCost && quantity < 2 * ammoCost) {
+      units.push({ key: ammo.id, warning: game.i18n.format("PF1SEQ.Tracker.LastAmmo", { name: ammo.name }) });
+    }
+
+    // Once-per-use costs are paid with the first attack rolled from the source
+    let chargeCost = atk.chargeCost > 0 ? atk.chargeCost : 0;
+    if (!source.useConsumed && !action.uses?.perAttack) chargeCost += source.useChargeCost;
+    if (item.isCharged && chargeCost > 0 && item.charges >= chargeCost && item.charges < 2 * chargeCost) {
+      units.push({ key: item.id, warning: game.i18n.format("PF1SEQ.Tracker.LastCharge", { name: item.name }) });
+    }
+
+    if (!source.useConsumed && action.isSelfCharged && action.uses.self.value === 1) {
+      const key = `${item.id}.${action.id}`;
+      units.push({ key, warning: game.i18n.format("PF1SEQ.Tracker.LastUse", { name: action.name }) });
+    }
+    return units;
+  }
+
+  /**
+   * Load a different ammunition for a pending attack.
+   * @param {number} idx Index into allAttacks
+   * @param {string} ammoId
+   */
+  async _setAmmo(idx, ammoId) {
+    if (this._busy || !this.allAttacks[idx] || this.resolvedIndices.has(idx) || this.skippedIndices.has(idx)) return;
+    const ammo = this.actor.items.get(ammoId);
+    if (!ammo) return;
+
+    const atk = this.allAttacks[idx];
+    atk.ammo = { id: ammo.id, quantity: ammo.system.quantity ?? 0, abundant: !!ammo.system.abundant };
+    atk.hasAmmo = true;
+    this._updateDialog();
+    await this.persist();
+  }
+
+  /**
+   * Pick targets for a pending attack among the tokens in range.
+   * @param {number} idx
+   * @param {object} [options]
+   * @param {boolean} [options.useCurrent] Assign the user's current targets instead of opening the picker
+   */
+  async _pickTargets(idx, { useCurrent = false } = {}) {
+    if (useCurrent) return this._assignTargets(idx, getUserTargetUuids());
+
+    const atk = this.allAttacks[idx];
+    const selected = this.targetsOf(atk).length ? this.targetsOf(atk) : getUserTargetUuids();
+    const uuids = await pickTargets(this.sourceOf(idx).actionUse, selected, atk.label);
+    if (uuids) await this._assignTargets(idx, uuids);
+  }
+
+  /**
+   * Assign the next hostile token in range, nearest first, to the current attack.
+   */
+  async _cycleTarget() {
+    if (this._completed) return;
+    const idx = this.currentIndex;
+    const hostile = getNearbyTokens(this.sourceOf(idx).actionUse)
+      .filter(({ token }) => token.document.disposition === CONST.TOKEN_DISPOSITIONS.HOSTILE)
+      .map(({ token }) => token.document.uuid);
+    if (!hostile.length) {
+      ui.notifications.warn(game.i18n.localize("PF1SEQ.Notify.NoHostiles"));
+      return;
+    }
+
+    const current = this.targetsOf(this.allAttacks[idx])[0] ?? getUserTargetUuids()[0];
+    await this._assignTargets(idx, [hostile[(hostile.indexOf(current) + 1) % hostile.length]]);
+  }
+
+  /**
+   * Assign targets to a pending attack. Assigning to the current attack also targets them.
+   * @param {number} idx
+   * @param {string[]} uuids
+   */
+  async _assignTargets(idx, uuids) {
+    const atk = this.allAttacks[idx];
+    if (uuids.length) this._targets.set(atk, uuids);
+    else this._targets.delete(atk);
+
+    if (idx === this.currentIndex) setUserTargets(uuids);
+    this._updateDialog(["attacks"]);
+    await this.persist();
+  }
+
+  /**
+   * Target the current attack's pre-assigned tokens, if it has any.
+   */
+  _applyAssignedTargets() {
+    if (this._completed) return;
+    const uuids = this.targetsOf(this.allAttacks[this.currentIndex]);
+    if (!uuids.length) return;
+
+    const current = getUserTargetUuids();
+    if (uuids.length === current.length && uuids.every((uuid) => current.includes(uuid))) return;
+    setUserTargets(uuids);
+  }
+
+  /**
+   * Ring the targets of the attack up next on the canvas, or clear the ring once done.
+   */
+  _focusTargets() {
+    if (this._completed) {
+      this._focus.clear();
+      return;
+    }
+    const assigned = this.targetsOf(this.allAttacks[this.currentIndex]);
+    this._focus.update(assigned.length ? assigned : getUserTargetUuids());
+  }
+
+  /**
+   * Apply controls for a resolved row: full, half and double damage, and critical damage
+   * when the crit was confirmed against a target. Only shown if the user can modify a hit target.
+   * @param {object} result
+   * @returns {object|null}
+   */
+  _prepareDamageControls(result) {
+    if (!result.normal) return null;
+    const canApply = result.targets.some((t) => t.hit && fromUuidSync(t.uuid)?.actor?.isOwner);
+    if (!canApply) return null;
+
+    return {
+      normal: result.normal,
+      critical: result.critical,
+      confirmed: result.targets.some((t) => t.confirmed),
+      applied: !!result.applied,
+    };
+  }
+
+  /**
+   * Apply a resolved attack's damage and add what was dealt to the running totals.
+   * Shift-click skips the system's damage dialog.
+   * @param {number} idx
+   * @param {object} options
+   * @param {boolean} options.critical
+   * @param {number} options.ratio
+   * @param {boolean} options.forceDialog
+   */
+  async _applyDamage(idx, { critical, ratio, forceDialog }) {
+    const atk = this.allAttacks[idx];
+    const result = this.resultOf(atk);
+    if (!result) return;
+
+    const messageId = this.ledgerOf(atk)?.messageId;
+    const dealt = await applyAttackDamage(result, {
+      critical,
+      ratio,
+      forceDialog,
+      message: messageId ? game.messages.get(messageId) : null,
+    });
+
+    if (!Object.keys(dealt).length) return;
+
+    // Kept on the result as a list, so undoing the attack can take it off the totals
+    result.dealt ??= [];
+    for (const [uuid, amount] of Object.entries(dealt)) {
+      const entry = (this.damageDealt[uuid] ??= { name: fromUuidSync(uuid)?.name ?? uuid, total: 0 });
+      entry.total += amount;
+      result.dealt.push({ uuid, amount });
+    }
+    result.applied = true;
+
+    this._updateDialog(["attacks", "footer"]);
+    await this.persist();
+  }
+
+  /**
+   * Roll the current attack, unless one is already being rolled.
+   */
+  async _rollNext() {
+    if (this._busy || this._completed) return;
+    this._busy = true;
+    this._updateDialog(["footer"]);
+    try {
+      await this._resolveCurrentAttack();
+    } catch (err) {
+      console.error("pf1-sequential-attacks | Error resolving sequential attack:", err);
+      ui.notifications.error(game.i18n.localize("PF1SEQ.Notify.ErrorResolve"));
+    } finally {
+      this._busy = false;
+    }
+    if (!this._completed) this._updateDialog(["footer"]);
+    this._refreshPreviews();
+  }
+
+  /**
+   * Whether the ammunition loaded for an attack no longer covers its cost.
+   * @param {number} idx Index into allAttacks
+   * @returns {boolean}
+   */
+  _isAmmoDepleted(idx) {
+    const atk = this.allAttacks[idx];
+    const cost = this.sourceOf(idx).actionUse.action.ammo.cost;
+    if (!atk.hasAmmo || !(cost > 0)) return false;
+    const ammo = this.actor.items.get(atk.ammo.id);
+    return !ammo || (!ammo.system.abundant && (ammo.system.quantity ?? 0) < cost);
+  }
+
+  /**
+   * Start or stop rolling the remaining attacks unattended.
+   */
+  _toggleAuto() {
+    if (this._auto) {
+      this._stopAuto();
+      return;
+    }
+    if (this._completed) return;
+    this._auto = true;
+    this._updateDialog(["footer"]);
+    this._autoStep();
+  }
+
+  /**
+   * @param {string|null} [reason] Why auto-run stopped early, told to the user
+   */
+  _stopAuto(reason = null) {
+    clearTimeout(this._autoTimer);
+    if (!this._auto) return;
+    this._auto = false;
+    if (reason) ui.notifications.info(game.i18n.format("PF1SEQ.Notify.AutoStopped", { title: this.displayTitle, reason }));
+    this._updateDialog(["footer"]);
+  }
+
+  /**
+   * Roll the current attack the same way the Next button does, then schedule the next
+   * one after the configured delay, unless the roll calls for a decision.
+   */
+  async _autoStep() {
+    if (!this._auto || this._completed) {
+      this._stopAuto();
+      return;
+    }
+    // Wait for a roll the user started by hand
+    if (this._busy) {
+      this._autoTimer = setTimeout(() => this._autoStep(), 250);
+      return;
+    }
+
+    const idx = this.currentIndex;
+    let reason = this._autoStopBefore(idx);
+    if (reason) {
+      this._stopAuto(reason);
+      return;
+    }
+
+    await this._rollNext();
+    if (!this._auto) return;
+    if (this.currentIndex === idx) reason = game.i18n.localize("PF1SEQ.AutoStop.NotRolled");
+    else reason = this._autoStopAfter(idx);
+    if (reason || this._completed) {
+      this._stopAuto(reason);
+      return;
+    }
+
+    this._autoTimer = setTimeout(() => this._autoStep(), game.settings.get("pf1-sequential-attacks", "autoRunDelay"));
+  }
+
+  /**
+   * Why the attack at idx shouldn't be rolled unattended, if it shouldn't.
+   * @param {number} idx Index into allAttacks
+   * @returns {string|null}
+   */
+  _autoStopBefore(idx) {
+    if (this._droppedTarget) return game.i18n.format("PF1SEQ.AutoStop.TargetDown", { name: this._droppedTarget });
+    if (this._isAmmoDepleted(idx)) return game.i18n.localize("PF1SEQ.AutoStop.OutOfAmmo");
+
+    const assigned = this.targetsOf(this.allAttacks[idx]);
+    const targets = assigned.length ? assigned.map((uuid) => fromUuidSync(uuid)) : [...game.user.targets].map((token) => token.document);
+    const down = targets.find((token) => (token?.actor?.system.attributes.hp?.value ?? 1) <= 0);
+    if (down) return game.i18n.format("PF1SEQ.AutoStop.TargetDown", { name: down.name });
+    return null;
+  }
+
+  /**
+   * Why auto-run should stop after the attack at idx was rolled, if it should.
+   * @param {number} idx Index into allAttacks
+   * @returns {string|null}
+   */
+  _autoStopAfter(idx) {
+    const result = this.resultOf(this.allAttacks[idx]);
+    if (!result) return null;
+    if (result.misfire) return game.i18n.localize("PF1SEQ.AutoStop.Misfire");
+    if (result.nat1) return game.i18n.localize("PF1SEQ.AutoStop.Nat1");
+    if (result.threat) return game.i18n.localize("PF1SEQ.AutoStop.Threat");
+    return null;
+  }
+
+  /**
+   * Refresh a source's rollData and re-apply the dialog choices that getRollData() resets.
+   * @param {object} source
+   * @returns {Promise<object>} The refreshed rollData
+   */
+  async _refreshRollData(source) {
+    const actionUse = source.actionUse;
+    const shared = actionUse.shared;
+    const action = actionUse.action;
+
+    // Refresh rollData to pick up any updated actor stats (buffs toggled between attacks, etc.)
+    // Note: We do NOT call actor.prepareData() here — the vanilla flow never does, and doing so
+    // causes duplicate resource warnings and can corrupt derived data (e.g. actor size).
+    // Foundry automatically re-prepares actors when their data changes (buff toggles, etc.),
+    // so getRollData({ cache: false }) already picks up the latest state.
+    actionUse.getRollData();
+    const rollData = shared.rollData;
+
+    // Natural attacks made secondary by a routine deal reduced ability damage
+    if (source.secondary) {
+      rollData.ablMult = Math.min(rollData.ablMult ?? 1, action.naturalAttack?.secondary?.damageMult ?? 0.5);
+    }
+
+    // Re-apply the form-based alterations (power attack, conditionals, etc.)
+    // We need to re-run alterRollData with the saved form data since getRollData() resets rollData
+    // but we need to preserve the state. We selectively re-apply key values.
+    rollData.fullAttack = shared.fullAttack ? 1 : 0;
+    if (shared.powerAttack) {
+      const basePowerAttackBonus = rollData.action?.powerAttack?.damageBonus ?? 2;
+      let powerAttackBonus = (1 + Math.floor(rollData.attributes.bab.total / 4)) * basePowerAttackBonus;
+      const paMult = action.getPowerAttackMult({ rollData });
+      powerAttackBonus = Math.floor(powerAttackBonus * paMult);
+      const powerAttackPenalty = -(1 + Math.floor(rollData.bab / 4));
+      rollData.powerAttackBonus = powerAttackBonus;
+      rollData.powerAttackPenalty = powerAttackPenalty;
+    } else {
+      rollData.powerAttackBonus = 0;
+      rollData.powerAttackPenalty = 0;
+    }
+
+    // Re-expand conditionals into rollData
+    if (shared.conditionals?.length) {
+      const rollDataConds = {};
+      for (const condId of shared.conditionals) {
+        const conditional = action.conditionals.get(condId);
+        if (!conditional) continue;
+        const tag = pf1.utils.createTag(conditional.name);
+        for (const [modKey, modifier] of conditional.modifiers.entries()) {
+          if (modifier.formula == 0) continue;
+          const conditionalRoll = await pf1.dice.RollPF.safeRoll(modifier.formula, rollData, undefined, undefined, {
+            allowInteractive: false,
+          });
+          if (conditionalRoll.err) continue;
+          rollDataConds[tag] ??= {};
+          rollDataConds[tag][modKey] = conditionalRoll.total;
+        }
+      }
+      rollData.conditionals = rollDataConds;
+    }
+
+    return rollData;
+  }
+
+  /**
+   * Resolve the current attack: re-prepare the actor, roll the single attack, and post its chat card.
+   */
+  async _resolveCurrentAttack() {
+    const idx = this.currentIndex;
+    const source = this.sourceOf(idx);
+    const { localIndex } = this.attackInfo(idx);
+    const actionUse = source.actionUse;
+    const shared = actionUse.shared;
+    const action = actionUse.action;
+    const item = actionUse.item;
+    const atk = this.allAttacks[idx];
+
+    if (!checkActorTurn(this.actor)) return;
+
+    // The loaded ammunition may have run out since it was picked
+    if (this._isAmmoDepleted(idx)) {
+      ui.notifications.warn(game.i18n.localize("PF1.AmmoDepleted"));
+      this._updateDialog();
+      return;
+    }
+
+    const rollData = await this._refreshRollData(source);
+
+    // If charge was selected in the dialog, only the first attack rolled benefits. The
+    // dialog result is left alone, so undoing that attack gives the bonus back.
+    if (shared.formData?.charge) shared.charge = this._getsChargeBonus(idx);
+
+    // Collect current targets, switching to the attack's pre-assigned ones first
+    this._applyAssignedTargets();
+    await actionUse.getTargets();
+    const targets = [...game.user.targets];
+    this._targets.set(atk, targets.map((token) => token.document.uuid));
+
+    // ---- Roll this single attack ---- //
+
+    // Temporarily isolate shared data to a single attack
+    const origAttacks = shared.attacks;
+    const origChatAttacks = shared.chatAttacks;
+    shared.attacks = [atk];
+    shared.chatAttacks = [];
+
+    const conditionalParts = actionUse._getConditionalParts(atk, { index: localIndex });
+    rollData.attackCount = localIndex;
+
+    // Create ChatAttack
+    const chatAttack = new pf1.actionUse.ChatAttack(action, {
+      label: atk.label,
+      rollData,
+      targets: game.user.targets,
+      actionUse,
+    });
+
+    if (atk.type !== "manyshot") {
+      await chatAttack.addAttack({
+        extraParts: [...this._sharedAttackBonus(idx), atk.attackBonus],
+        conditionalParts,
+      });
+    }
+
+    // Add damage
+    if (action.hasDamage) {
+      const extraParts = foundry.utils.deepClone(shared.damageBonus);
+      const nonCritParts = [];
+      const critParts = [];
+
+      if (rollData.powerAttackBonus > 0) {
+        const label = ["rwak", "twak", "rsak"].includes(action.actionType)
+          ? game.i18n.localize("PF1.DeadlyAim")
+          : game.i18n.localize("PF1.PowerAttack");
+        const powerAttackBonus = rollData.powerAttackBonus;
+        const powerAttackCritBonus = powerAttackBonus * (rollData.action?.powerAttack?.critMultiplier ?? 1);
+        nonCritParts.push(`${powerAttackBonus}[${label}]`);
+        critParts.push(`${powerAttackCritBonus}[${label}]`);
+      }
+
+      let flavor = null;
+      if (atk.type === "manyshot") flavor = game.i18n.localize("PF1.Manyshot");
+      await chatAttack.addDamage({
+        flavor,
+        extraParts: [...extraParts, ...nonCritParts],
+        critical: false,
+        conditionalParts,
+      });
+
+      if (chatAttack.hasCritConfirm) {
+        await chatAttack.addDamage({
+          extraParts: [...extraParts, ...critParts],
+          critical: true,
+          conditionalParts,
+        });
+      }
+    }
+
+    shared.chatAttacks = [chatAttack];
+    atk.chatAttack = chatAttack;
+
+    const result = evaluateAttack(chatAttack, action, targets);
+    if (result) {
+      Object.assign(result, getDamageTotals(chatAttack), { critMult: action.ability?.critMult ?? 2 });
+      this._results.set(atk, result);
+    }
+
+    // Fill in ammo details
+    if (atk.hasAmmo) {
+      chatAttack.setAmmo(atk.ammo.id);
+      const misfire = action.misfire ?? 0;
+      if (chatAttack.ammo) {
+        const d20 = chatAttack.attack?.d20?.total;
+        chatAttack.ammo.misfire = d20 <= misfire;
+        if (result) result.misfire = chatAttack.ammo.misfire;
+      }
+    }
+
+    // Save DC
+    shared.save = action.save.type;
+    shared.saveDC = action.getDC(rollData);
+
+    // Effect notes for this attack
+    if (atk.type !== "manyshot") {
+      await chatAttack.addEffectNotes({ rollData });
+    }
+
+    // Reset footnotes and template data for this attack's card
+    shared.templateData.footnotes = [];
+    await actionUse.addFootnotes();
+
+    // Fire the pre-action-use hook (per attack)
+    // Modules can return false to skip this attack's chat card
+    const hookResult = Hooks.call("pf1PreActionUse", actionUse);
+
+    if (hookResult !== false) {
+      // Script calls
+      await actionUse.executeScriptCalls();
+
+      if (!shared.scriptData?.reject) {
+        // Everything this attack consumes is recorded so it can be undone
+        const ledger = { messageId: null, ammoId: null, ammo: 0, charges: 0, useCharges: 0, selfUse: false };
+
+        // Subtract ammo for this single attack
+        const ammoCost = action.ammo.cost;
+        if (ammoCost !== 0 && atk.hasAmmo) {
+          if (await _subtractSingleAttackAmmo(actionUse, atk, ammoCost)) {
+            ledger.ammoId = atk.ammo.id;
+            ledger.ammo = ammoCost;
+          }
+        }
+
+        // Subtract charges for this attack
+        if (atk.chargeCost && atk.chargeCost > 0) {
+          shared.totalChargeCost = atk.chargeCost;
+          await item.addCharges(-atk.chargeCost);
+          ledger.charges = atk.chargeCost;
+        }
+
+        // Costs of the whole use (spell slots, non-per-attack charges, self-charged uses)
+        // are paid once, with the first attack that is actually rolled
+        if (!source.useConsumed) {
+          if (!action.uses?.perAttack && source.useChargeCost > 0) {
+            shared.totalChargeCost = source.useChargeCost;
+            await item.addCharges(-source.useChargeCost);
+            ledger.useCharges = source.useChargeCost;
+          }
+          if (action.isSelfCharged) {
+            await action.update({ "uses.self.value": action.uses.self.value - 1 });
+            ledger.selfUse = true;
+          }
+          source.useConsumed = true;
+        }
+        this._ledger.set(atk, ledger);
+
+        // Update remaining ammo display
+        actionUse.updateAmmoUsage();
+
+        // Handle Dice So Nice, waiting for the dice to land if the user wants to
+        if (waitsForDice()) await showAttackDice(actionUse, chatAttack);
+        else await actionUse.handleDiceSoNice();
+
+        // Build and post the chat card for this single attack, tagged with its place in
+        // the sequence. For spells the first rolled card stands for the casting itself.
+        // With summary cards only, the attack cards are just for the attacker
+        const cast = isSpellLike(item) && !this._hasResolvedFrom(source);
+        const rollMode = shared.rollMode;
+        if (getChatCardMode() === "summary") shared.rollMode = CONST.DICE_ROLL_MODES.SELF;
+        await actionUse.getMessageData();
+        shared.rollMode = rollMode;
+        if (isSpellLike(item) && !cast) {
+          for (const key of CASTING_TEMPLATE_DATA) delete shared.templateData[key];
+        }
+        foundry.utils.setProperty(shared.chatData, "flags.pf1-sequential-attacks", {
+          index: idx,
+          total: this.allAttacks.length,
+          cast,
+        });
+        await actionUse.postMessage();
+        ledger.messageId = shared.message?.id ?? null;
+
+        // Post-use script calls
+        await actionUse.executeScriptCalls("postUse");
+
+        Hooks.callAll("pf1PostActionUse", actionUse, shared.message ?? null);
+      }
+    }
+
+    // Restore shared arrays
+    shared.attacks = origAttacks;
+    shared.chatAttacks = origChatAttacks;
+
+    // Cleanup per-attack rollData
+    delete rollData.attackCount;
+
+    // Mark as resolved
+    this.resolvedIndices.add(idx);
+    this.currentIndex = idx + 1;
+    const message = this.ledgerOf(atk)?.messageId ? shared.message : null;
+    Hooks.callAll("pf1SequentialAttackResolved", this, { index: idx, chatAttack, message });
+    callAttackAnimation(this, idx, { chatAttack, message });
+
+    // A misfired firearm gains the broken condition; the user may want to stop there
+    if (result?.misfire) {
+      ui.notifications.warn(game.i18n.format("PF1SEQ.Notify.Misfire", { item: item.name }));
+    }
+
+    // Check if we're done
+    if (this.currentIndex >= this.allAttacks.length) {
+      this._completed = true;
+    } else if (result?.misfire && game.settings.get("pf1-sequential-attacks", "stopOnMisfire")) {
+      this._skipPending();
+    }
+
+    // Update the dialog
+    this._updateDialog();
+    await this.persist();
+  }
+
+  /**
+   * Positions of attacks that can still be reordered: neither rolled nor skipped.
+   * @returns {number[]}
+   */
+  _movablePositions() {
+    const positions = [];
+    for (let i = this.currentIndex; i < this.allAttacks.length; i++) {
+      if (!this.resolvedIndices.has(i) && !this.skippedIndices.has(i)) positions.push(i);
+    }
+    return positions;
+  }
+
+  /**
+   * Move a pending attack to the position of another pending attack. Rolled and skipped
+   * rows keep their positions; only the pending attacks are shuffled around them.
+   * Attacks carry their own label, bonus and source index, so nothing else needs updating.
+   * @param {number} from Position of the attack to move
+   * @param {number} to Position to move it to
+   */
+  async _moveAttack(from, to) {
+    if (this._busy || from === to) return;
+    const positions = this._movablePositions();
+    const fromPos = positions.indexOf(from);
+    const toPos = positions.indexOf(to);
+    if (fromPos === -1 || toPos === -1) return;
+
+    const queue = positions.map((i) => this.allAttacks[i]);
+    const [atk] = queue.splice(fromPos, 1);
+    queue.splice(toPos, 0, atk);
+    for (const [n, pos] of positions.entries()) this.allAttacks[pos] = queue[n];
+
+    this._updateDialog(["attacks"]);
+    await this.persist();
+  }
+
+  /**
+   * Move a rolled or skipped attack back to the front of the pending queue.
+   * Finished attacks occupy the positions before currentIndex, in the order they were
+   * finished, so the ones after it shift up by one.
+   * @param {number} idx Position of the finished attack
+   */
+  _returnToQueue(idx) {
+    const current = this.currentIndex;
+    const [atk] = this.allAttacks.splice(idx, 1);
+    this.allAttacks.splice(current - 1, 0, atk);
+
+    const shift = (indices) =>
+      new Set([...indices].filter((i) => i !== idx).map((i) => (i > idx && i < current ? i - 1 : i)));
+    this.resolvedIndices = shift(this.resolvedIndices);
+    this.skippedIndices = shift(this.skippedIndices);
+    this.currentIndex = current - 1;
+
+    // Reopen a sequence that was about to auto-close
+    if (this._completed) {
+      clearTimeout(this._closeTimer);
+      this._completed = false;
+    }
+  }
+
+  /**
+   * Return a skipped attack to the pending queue.
+   * @param {number} idx
+   */
+  async _restoreSkippedAttack(idx) {
+    if (this._busy || !this.skippedIndices.has(idx)) return;
+    this._returnToQueue(idx);
+    this._updateDialog();
+    await this.persist();
+  }
+
+  /**
+   * Undo the most recently rolled attack: delete its chat card, refund what it consumed,
+   * and return it to the pending queue.
+   */
+  async _undoLastAttack() {
+    if (this._busy) return;
+    const idx = Math.max(...this.resolvedIndices);
+    if (!Number.isFinite(idx)) return;
+
+    const atk = this.allAttacks[idx];
+    const source = this.sourceOf(idx);
+    const { item, action } = source.actionUse;
+    const actor = source.actionUse.actor ?? item.actor;
+    const ledger = this.ledgerOf(atk);
+
+    clearTimeout(this._closeTimer);
+    this._busy = true;
+    try {
+      if (ledger?.messageId) await game.messages.get(ledger.messageId)?.delete();
+
+      if (ledger?.ammo) {
+        const ammoItem = actor.items.get(ledger.ammoId);
+        if (ammoItem) await ammoItem.update({ "system.quantity": (ammoItem.system.quantity || 0) + ledger.ammo });
+      }
+
+      const charges = (ledger?.charges ?? 0) + (ledger?.useCharges ?? 0);
+      if (charges) await item.addCharges(charges);
+
+      if (ledger?.selfUse) await action.update({ "uses.self.value": action.uses.self.value + 1 });
+
+      // The use cost is paid again by whichever attack of the source is rolled next
+      if (ledger?.useCharges || ledger?.selfUse) source.useConsumed = false;
+    } finally {
+      this._busy = false;
+    }
+
+    // The hit points stay as they are, but the running totals no longer count this attack
+    for (const { uuid, amount } of this.resultOf(atk)?.dealt ?? []) {
+      const entry = this.damageDealt[uuid];
+      if (!entry) continue;
+      entry.total -= amount;
+      if (!entry.total) delete this.damageDealt[uuid];
+    }
+
+    this._ledger.delete(atk);
+    this._results.delete(atk);
+    this._returnToQueue(idx);
+    this._updateDialog();
+    await this.persist();
+  }
+
+  /**
+   * Take back whichever attack was finished last: undo it if it was rolled, restore it
+   * if it was skipped.
+   */
+  async _undoOrRestore() {
+    const last = this.currentIndex - 1;
+    if (this.skippedIndices.has(last)) return this._restoreSkippedAttack(last);
+    return this._undoLastAttack();
+  }
+
+  /**
+   * Whether any attack of the source has been rolled already.
+   */
+  _hasResolvedFrom(source) {
+    return [...this.resolvedIndices].some((i) => this.sourceOf(i) === source);
+  }
+
+  /**
+   * Skip the current attack without rolling it.
+   */
+  async _skipCurrentAttack() {
+    if (this._busy || !checkActorTurn(this.actor)) return;
+    const idx = this.currentIndex;
+    this.skippedIndices.add(idx);
+    this.currentIndex = idx + 1;
+    Hooks.callAll("pf1SequentialSkip", this, { index: idx });
+
+    if (this.currentIndex >= this.allAttacks.length) {
+      this._completed = true;
+    }
+
+    this._updateDialog();
+    await this.persist();
+  }
+
+  /**
+   * Skip every attack still pending and finish the sequence, unless an attack is
+   * still being rolled.
+   */
+  async _skipRemaining() {
+    if (this._busy || this._completed) return;
+    this._skipPending();
+    this._updateDialog();
+  }
+
+  /**
+   * Mark every attack still pending as skipped and complete the sequence.
+   */
+  _skipPending() {
+    while (this.currentIndex < this.allAttacks.length) {
+      const idx = this.currentIndex++;
+      this.skippedIndices.add(idx);
+      Hooks.callAll("pf1SequentialSkip", this, { index: idx });
+    }
+    this._completed = true;
+  }
+
+  /**
+   * Re-render the tracker window.
+   * @param {string[]} [parts] Parts of the window that changed, all of them by default
+   */
+  _updateDialog(parts) {
+    if (!this.app?.rendered) return;
+
+    this.app.render(parts ? { parts } : {});
+    this._applyAssignedTargets();
+    this._focusTargets();
+    if (!this._completed) reportSequence(this);
+
+    // Auto-close if completed
+    if (this._completed) {
+      // Small delay so user can see the final state (and undo the last attack)
+      clearTimeout(this._closeTimer);
+      this._closeTimer = setTimeout(() => {
+        if (this.app?.rendered) {
+          this._resolve("completed");
+          this.app.close();
+        }
+      }, 2000);
+    }
+  }
+}
+
+/**
+ * Localization key the system labels an action's power attack with.
+ * @param {ItemAction} action
+ * @returns {string}
+ */
+function _powerAttackLabel(action) {
+  return ["rwak", "twak", "rsak"].includes(action.actionType) ? "PF1.DeadlyAim" : "PF1.PowerAttack";
+}
+
+/**
+ * Ammunition items of the actor that an action can fire.
+ * @param {Actor} actor
+ * @param {ItemAction} action
+ * @returns {Item[]}
+ */
+function _validAmmo(actor, action) {
+  return actor.items.filter(
+    (item) => item.type === "loot" && item.subType === "ammo" && item.system.extraType === action.ammo.type
+  );
+}
+
+// ---- Helper: Subtract ammo for a single attack ---- //
+
+/**
+ * @returns {Promise<boolean>} Whether any ammo was deducted
+ */
+async function _subtractSingleAttackAmmo(actionUse, atk, ammoCost) {
+  if (!actionUse.action.hasAttack) return false;
+  if (!actionUse.action.ammo.type) return false;
+  if (!atk.ammo) return false;
+
+  const actor = actionUse.actor;
+  const ammoItem = actor.items.get(atk.ammo.id);
+  if (!ammoItem) return false;
+  if (ammoItem.system.abundant) return false;
+
+  const newQty = (ammoItem.system.quantity || 0) - ammoCost;
+  await actor.updateEmbeddedDocuments("Item", [{ _id: atk.ammo.id, "system.quantity": newQty }]);
+  return true;
+}
@@ -0,0 +1,1026 @@
+/* Test Harness
+ *
+ * Local stand-ins for the parts of Foundry and the PF1 system the module touches, so it
+ * can be loaded and driven under node:test without a browser. The stand-ins only do as
+ * much as the module relies on; rolls are deterministic, with natural d20 results taken
+ * from a queue the tests fill.
+ *
+ * Import this before any module script: the scripts read globals at load time.
+ */
+
+import { readFileSync } from "node:fs";
+
+const SCOPE = "pf1-sequential-attacks";
+
+// ---- Foundry Basics ---- //
+
+/**
+ * Map that iterates its values, like Foundry's Collection.
+ */
+export class Collection extends Map {
+  *[Symbol.iterator]() {
+    yield* this.values();
+  }
+
+  get contents() {
+    return [...this.values()];
+  }
+
+  find(predicate) {
+    return this.contents.find(predicate);
+  }
+
+  filter(predicate) {
+    return this.contents.filter(predicate);
+  }
+
+  getName(name) {
+    return this.find((doc) => doc.name === name);
+  }
+}
+
+function _getProperty(object, key) {
+  return key.split(".").reduce((obj, part) => obj?.[part], object);
+}
+
+function _setProperty(object, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let target = object;
+  for (const part of parts) target = target[part] ??= {};
+  target[last] = value;
+  return true;
+}
+
+function _mergeObject(original, other = {}) {
+  for (const [key, value] of Object.entries(other)) {
+    if (value && typeof value === "object" && !Array.isArray(value) && original[key] && typeof original[key] === "object") {
+      _mergeObject(original[key], value);
+    } else {
+      original[key] = value;
+    }
+  }
+  return original;
+}
+
+/**
+ * Split dotted keys into nested objects, at every depth, as Foundry does with update data.
+ */
+function _expandObject(object) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(object)) {
+    const inner = value && typeof value === "object" && !Array.isArray(value) ? _expandObject(value) : value;
+    _setProperty(expanded, key, inner);
+  }
+  return expanded;
+}
+
+/**
+ * Flags stored the way documents store them, under flags[scope][key]. Like a document
+ * update, setting a flag expands dotted keys and merges into the stored value.
+ */
+class FlagsMixin {
+  getFlag(scope, key) {
+    return _getProperty(this.flags?.[scope] ?? {}, key);
+  }
+
+  async setFlag(scope, key, value) {
+    this.flags[scope] ??= {};
+    _mergeObject(this.flags[scope], _expandObject({ [key]: structuredClone(value) }));
+  }
+
+  async unsetFlag(scope, key) {
+    delete this.flags[scope]?.[key];
+  }
+}
+
+// ---- DOM ---- //
+
+class MockClassList extends Set {
+  add(...names) {
+    for (const name of names) super.add(name);
+    return this;
+  }
+}
+
+/**
+ * Just enough of an element for the checkbox injected into the attack dialog.
+ * Selectors are a tag name or a class, optionally with descendants: ".flags input".
+ */
+class MockElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.children = [];
+    this.dataset = {};
+    this.classList = new MockClassList();
+    this.checked = false;
+    this.indeterminate = false;
+    this._listeners = {};
+  }
+
+  append(...nodes) {
+    this.children.push(...nodes);
+  }
+
+  _matches(selector) {
+    if (selector.startsWith(".")) return this.classList.has(selector.slice(1));
+    return this.tagName === selector.toUpperCase();
+  }
+
+  querySelector(selectors) {
+    const [selector, ...rest] = selectors.split(" ");
+    for (const child of this.children) {
+      if (!(child instanceof MockElement)) continue;
+      if (child._matches(selector)) {
+        const found = rest.length ? child.querySelector(rest.join(" ")) : child;
+        if (found) return found;
+      }
+      const found = child.querySelector(selectors);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  addEventListener(type, fn) {
+    (this._listeners[type] ??= []).push(fn);
+  }
+
+  /** Toggle a checkbox as a user would */
+  click() {
+    this.checked = !this.checked;
+    this.indeterminate = false;
+    for (const fn of this._listeners.change ?? []) fn({ target: this, stopPropagation: () => {} });
+  }
+}
+
+const document = { createElement: (tagName) => new MockElement(tagName) };
+
+// ---- Hooks and Notifications ---- //
+
+const _hooks = new Map();
+let _hookId = 0;
+
+const Hooks = {
+  /** Every hook called, in order, as [name, ...args] */
+  calls: [],
+
+  on(name, fn, { once = false } = {}) {
+    const id = ++_hookId;
+    if (!_hooks.has(name)) _hooks.set(name, []);
+    _hooks.get(name).push({ id, fn, once });
+    return id;
+  },
+
+  once(name, fn) {
+    return this.on(name, fn, { once: true });
+  },
+
+  off(name, id) {
+    _hooks.set(name, (_hooks.get(name) ?? []).filter((hook) => hook.id !== id && hook.fn !== id));
+  },
+
+  _run(name, args, stoppable) {
+    this.calls.push([name, ...args]);
+    for (const hook of [...(_hooks.get(name) ?? [])]) {
+      if (hook.once) this.off(name, hook.id);
+      if (hook.fn(...args) === false && stoppable) return false;
+    }
+    return true;
+  },
+
+  call(name, ...args) {
+    return this._run(name, args, true);
+  },
+
+  callAll(name, ...args) {
+    return this._run(name, args, false);
+  },
+
+  /**
+   * @param {string} name
+   * @returns {Array<any[]>} Arguments of every call of the hook
+   */
+  callsOf(name) {
+    return this.calls.filter(([called]) => called === name).map(([, ...args]) => args);
+  },
+};
+
+const notifications = { info: [], warn: [], error: [] };
+const ui = {
+  notifications: {
+    info: (message) => notifications.info.push(message),
+    warn: (message) => notifications.warn.push(message),
+    error: (message) => notifications.error.push(message),
+  },
+  activeWindow: null,
+};
+
+// ---- Settings, Keybindings, Localization ---- //
+
+const _settings = new Map();
+const settings = {
+  register(scope, key, config) {
+    _settings.set(`${scope}.${key}`, { config, value: structuredClone(config.default) });
+  },
+  registerMenu() {},
+  get(scope, key) {
+    const setting = _settings.get(`${scope}.${key}`);
+    if (!setting) throw new Error(`Setting ${scope}.${key} is not registered`);
+    return setting.value;
+  },
+  async set(scope, key, value) {
+    _settings.get(`${scope}.${key}`).value = value;
+    return value;
+  },
+};
+
+const _keybindings = new Map();
+const keybindings = {
+  register(scope, action, config) {
+    _keybindings.set(`${scope}.${action}`, config);
+  },
+  get(scope, action) {
+    return _keybindings.get(`${scope}.${action}`)?.editable ?? [];
+  },
+};
+
+/**
+ * Press one of the module's keyboard shortcuts.
+ * @param {string} action
+ * @returns {boolean} Whether the shortcut was handled
+ */
+export function pressKey(action) {
+  return _keybindings.get(`pf1-sequential-attacks.${action}`).onDown({});
+}
+
+/**
+ * Flatten a language file into dotted keys, as Foundry does when loading it.
+ * @param {object} strings
+ * @param {string} [prefix]
+ * @returns {Record<string, string>}
+ */
+function _flattenLang(strings, prefix = "") {
+  return Object.entries(strings).reduce((flat, [key, value]) => {
+    const path = prefix + key;
+    return Object.assign(flat, typeof value === "object" ? _flattenLang(value, `${path}.`) : { [path]: value });
+  }, {});
+}
+
+export const LANG = {
+  "PF1.Charge": "Charge",
+  "PF1.PowerAttack": "Power Attack",
+  "PF1.DeadlyAim": "Deadly Aim",
+  "PF1.Manyshot": "Manyshot",
+  "PF1.Haste": "Haste",
+  "PF1.RapidShot": "Rapid Shot",
+  "PF1.FlurryOfBlows": "Flurry of Blows",
+  "PF1.AmmoDepleted": "Ammunition depleted.",
+  "PF1.ChargesDepleted": "Charges depleted.",
+  ..._flattenLang(JSON.parse(readFileSync(new URL("../lang/en.json", import.meta.url), "utf8"))),
+};
+
+const i18n = {
+  lang: "en",
+  has: (key) => key in LANG,
+  localize: (key) => LANG[key] ?? key,
+  format: (key, data = {}) => (LANG[key] ?? key).replace(/{(\w+)}/g, (match, name) => data[name] ?? match),
+};
+
+// ---- Rolls ---- //
+
+const _d20 = [];
+
+/**
+ * Queue the natural results of the next d20 rolls. Rolls default to 10 once the queue is empty.
+ * @param {...number} values
+ */
+export function queueD20(...values) {
+  _d20.push(...values);
+}
+
+function _nextD20() {
+  return _d20.length ? _d20.shift() : 10;
+}
+
+/**
+ * Evaluate a deterministic formula: flavor tags are dropped, @references are read from
+ * the roll data, and the rest must be plain arithmetic.
+ * @param {string|number} formula
+ * @param {object} rollData
+ * @returns {number}
+ */
+export function evaluateFormula(formula, rollData = {}) {
+  if (typeof formula === "number") return formula;
+  if (!formula) return 0;
+  const expression = String(formula)
+    .replace(/\[[^\]]*\]/g, "")
+    .replace(/@([\w.]+)/g, (match, path) => Number(_getProperty(rollData, path) ?? 0));
+  if (!/^[\d\s+\-*/().]*$/.test(expression)) throw new Error(`Formula is not deterministic: ${formula}`);
+  if (!expression.trim()) return 0;
+  return Math.floor(Function(`"use strict"; return (${expression});`)());
+}
+
+class RollPF {
+  static safeRollSync(formula, rollData) {
+    try {
+      return { total: evaluateFormula(formula, rollData), err: null };
+    } catch (err) {
+      return { total: 0, err };
+    }
+  }
+
+  static async safeRoll(formula, rollData) {
+    return this.safeRollSync(formula, rollData);
+  }
+}
+
+// ---- Documents ---- //
+
+class Item extends FlagsMixin {}
+class Actor extends FlagsMixin {}
+
+const _documents = new Map();
+
+function fromUuidSync(uuid) {
+  return _documents.get(uuid) ?? null;
+}
+
+let _idCounter = 0;
+const _randomID = (prefix) => `${prefix}${++_idCounter}`.padEnd(16, "0");
+
+class MockActor extends Actor {
+  constructor({ name = "Fighter", bab = 6, str = 4, hp = 30 } = {}) {
+    super();
+    this.id = _randomID("actor");
+    this.uuid = `Actor.${this.id}`;
+    this.name = name;
+    this.flags = {};
+    this.isOwner = true;
+    this.token = null;
+    this.items = new Collection();
+    this.system = {
+      attributes: { bab: { total: bab }, hp: { value: hp, max: hp, temp: 0, nonlethal: 0 }, ac: {} },
+      abilities: { str: { mod: str } },
+    };
+    this.statuses = new Set();
+    _documents.set(this.uuid, this);
+  }
+
+  getRollData() {
+    return {
+      bab: this.system.attributes.bab.total,
+      attributes: structuredClone(this.system.attributes),
+      abilities: structuredClone(this.system.abilities),
+    };
+  }
+
+  getActiveTokens() {
+    return [];
+  }
+
+  async update(data) {
+    for (const [key, value] of Object.entries(data)) _setProperty(this, key, value);
+  }
+
+  async updateEmbeddedDocuments(type, updates) {
+    for (const { _id, ...changes } of updates) await this.items.get(_id).update(changes);
+  }
+}
+
+class MockItem extends Item {
+  constructor(actor, { name, type = "weapon", subType = null, system = {}, charges = 0, maxCharges = charges } = {}) {
+    super();
+    this.id = _randomID("item");
+    this.uuid = `${actor.uuid}.Item.${this.id}`;
+    this.name = name;
+    this.type = type;
+    this.subType = subType;
+    this.actor = actor;
+    this.flags = {};
+    this.isOwner = true;
+    this.system = structuredClone(system);
+    this.charges = charges;
+    this.maxCharges = maxCharges;
+    this.actions = new Collection();
+    actor.items.set(this.id, this);
+    _documents.set(this.uuid, this);
+  }
+
+  get isCharged() {
+    return this.maxCharges > 0;
+  }
+
+  async addCharges(value) {
+    this.charges += value;
+  }
+
+  async update(data) {
+    for (const [key, value] of Object.entries(data)) _setProperty(this, key, value);
+  }
+}
+
+class MockAction {
+  constructor(item, options = {}) {
+    this.id = _randomID("action");
+    this.item = item;
+    this.name = options.name ?? "Attack";
+    this.actionType = options.actionType ?? "mwak";
+    this.hasAttack = options.hasAttack ?? true;
+    this.hasDamage = options.hasDamage ?? true;
+    this.touch = false;
+    this.misfire = options.misfire ?? 0;
+    this.ammo = { type: options.ammoType ?? null, cost: options.ammoCost ?? (options.ammoType ? 1 : 0) };
+    this.uses = { perAttack: options.perAttack ?? false, self: { value: 0, max: 0 } };
+    this.isSelfCharged = false;
+    this.chargeCost = options.chargeCost ?? 0;
+    this.conditionals = new Collection();
+    this.damage = { parts: [{ formula: options.damage ?? "1d8" }] };
+    this.ability = { damage: "str", critMult: 2, critRange: 20 };
+    this.naturalAttack = null;
+    this.save = { type: "" };
+    /** Attack bonuses of the attacks a full attack generates */
+    this.attacks = options.attacks ?? ["0", "-5"];
+    item.actions.set(this.id, this);
+  }
+
+  getDC() {
+    return 0;
+  }
+
+  getPowerAttackMult() {
+    return 1;
+  }
+
+  getRange() {
+    return null;
+  }
+
+  async update(data) {
+    for (const [key, value] of Object.entries(data)) _setProperty(this, key, value);
+  }
+}
+
+/**
+ * An actor with one weapon whose full attack has the given attack bonuses.
+ * @param {object} [options]
+ * @param {object} [options.actor] Options of the actor
+ * @param {object} [options.item] Options of the item
+ * @param {object} [options.action] Options of the action
+ * @param {object[]} [options.ammo] Ammunition items, as {name, quantity, type}
+ * @returns {{actor: MockActor, item: MockItem, action: MockAction, ammo: MockItem[]}}
+ */
+export function createAttacker({ actor: actorOptions, item: itemOptions, action: actionOptions, ammo = [] } = {}) {
+  const actor = new MockActor(actorOptions);
+  const { item, action } = addAttackItem(actor, { item: itemOptions, action: actionOptions });
+  const ammoItems = ammo.map(
+    ({ name, quantity, type = "arrow" }) =>
+      new MockItem(actor, { name, type: "loot", subType: "ammo", system: { quantity, extraType: type, abundant: false } })
+  );
+  return { actor, item, action, ammo: ammoItems };
+}
+
+/**
+ * Give an actor another item with an attack action.
+ * @param {MockActor} actor
+ * @param {object} [options]
+ * @param {object} [options.item] Options of the item
+ * @param {object} [options.action] Options of the action
+ * @returns {{item: MockItem, action: MockAction}}
+ */
+export function addAttackItem(actor, { item: itemOptions, action: actionOptions } = {}) {
+  const item = new MockItem(actor, { name: "Longsword", ...itemOptions });
+  const action = new MockAction(item, actionOptions);
+  return { item, action };
+}
+
+/**
+ * A token on the canvas. Token UUIDs contain dots, as they do in Foundry.
+ */
+class MockToken {
+  constructor(actor) {
+    this.id = _randomID("token");
+    this.name = actor.name;
+    this.actor = actor;
+    this.visible = true;
+    this.document = {
+      id: this.id,
+      uuid: `Scene.scene1.Token.${this.id}`,
+      name: actor.name,
+      actor,
+      object: this,
+      disposition: CONST.TOKEN_DISPOSITIONS.HOSTILE,
+      texture: { src: "" },
+    };
+    _documents.set(this.document.uuid, this.document);
+  }
+
+  get isTargeted() {
+    return game.user.targets.has(this);
+  }
+
+  setTarget(targeted = true) {
+    if (targeted) game.user.targets.add(this);
+    else game.user.targets.delete(this);
+  }
+}
+
+/**
+ * A creature to attack, with a token, targeted by the user.
+ * @param {object} [options]
+ * @param {string} [options.name]
+ * @param {number} [options.ac]
+ * @param {number} [options.hp]
+ * @returns {MockToken}
+ */
+export function createTarget({ name = "Goblin", ac = 15, hp = 30 } = {}) {
+  const actor = new MockActor({ name, hp });
+  actor.system.attributes.ac = { normal: { total: ac }, touch: { total: ac }, flatFooted: { total: ac } };
+  const token = new MockToken(actor);
+  token.setTarget(true);
+  return token;
+}
+
+class MockCombatant extends FlagsMixin {
+  constructor(actor) {
+    super();
+    this.id = _randomID("combatant");
+    this.actor = actor;
+    this.flags = {};
+    this.isOwner = true;
+  }
+}
+
+/**
+ * Start a combat between the actors and make it the active one.
+ * @param {MockActor[]} actors In turn order
+ * @param {number} [turn=0] Index of the actor whose turn it is
+ * @returns {object} The combat; end it with endCombat()
+ */
+export function startCombat(actors, turn = 0) {
+  const combatants = new Collection(actors.map((actor) => new MockCombatant(actor)).map((c) => [c.id, c]));
+  game.combat = {
+    id: _randomID("combat"),
+    started: true,
+    round: 1,
+    turn,
+    scene: null,
+    combatants,
+    combatant: combatants.contents[turn],
+  };
+  return game.combat;
+}
+
+export function endCombat() {
+  game.combat = null;
+}
+
+// ---- PF1 Action Use ---- //
+
+/** Attack dialog options that add an attack, by attack type */
+const EXTRA_ATTACKS = {
+  "haste-attack": "PF1.Haste",
+  "rapid-shot": "PF1.RapidShot",
+  manyshot: "PF1.Manyshot",
+  "flurry-of-blows": "PF1.FlurryOfBlows",
+};
+
+class ActionUse {
+  /** Dialog result createAttackDialog() resolves with, per test */
+  static dialogResult = { fullAttack: true };
+
+  constructor({ item, action, actor, token = null, rollMode = "publicroll" } = {}) {
+    this.item = item;
+    this.action = action;
+    this.actor = actor ?? item.actor;
+    this.token = token;
+    this.formData = {};
+    this.shared = {
+      action,
+      rollMode,
+      attackBonus: [],
+      damageBonus: [],
+      attacks: [],
+      chatAttacks: [],
+      conditionals: [],
+      conditionalPartsCommon: {},
+      templateData: {},
+      useMeasureTemplate: false,
+    };
+    /** How often each method ran, by name */
+    this.calls = {};
+  }
+
+  _count(name) {
+    this.calls[name] = (this.calls[name] ?? 0) + 1;
+  }
+
+  async checkRequirements() {
+    this._count("checkRequirements");
+    return 0;
+  }
+
+  async autoSelectAmmo() {
+    this._count("autoSelectAmmo");
+  }
+
+  getRollData() {
+    this._count("getRollData");
+    this.shared.rollData = { ...this.actor.getRollData(), action: { powerAttack: { damageBonus: 2 } } };
+    return this.shared.rollData;
+  }
+
+  async generateAttacks(full) {
+    this._count("generateAttacks");
+    const ammo = this.action.ammo.type
+      ? this.actor.items.find((item) => item.subType === "ammo" && item.system.extraType === this.action.ammo.type)
+      : null;
+    const attacks = full ? this.action.attacks : this.action.attacks.slice(0, 1);
+    let left = ammo?.system.quantity ?? 0;
+    this.shared.attacks = attacks.map((attackBonus, index) => {
+      const hasAmmo = !!ammo && left >= this.action.ammo.cost;
+      if (hasAmmo) left -= this.action.ammo.cost;
+      return {
+        label: index === 0 ? "Attack" : `Iterative Attack ${index}`,
+        attackBonus,
+        ammo: hasAmmo ? { id: ammo.id } : null,
+        hasAmmo,
+        chargeCost: null,
+      };
+    });
+  }
+
+  async createAttackDialog() {
+    this._count("createAttackDialog");
+    // The dialog's flag checkboxes, for modules to add their own
+    const html = document.createElement("form");
+    const flags = document.createElement("div");
+    flags.classList.add("flags");
+    html.append(flags);
+    Hooks.callAll("renderAttackDialog", { actionUse: this, element: html, setPosition: () => {} }, html);
+
+    const form = structuredClone(ActionUse.dialogResult);
+    // The system's dialog adds the extra attacks of the options checked in it, at the full bonus
+    const [first] = this.shared.attacks;
+    for (const [type, label] of Object.entries(EXTRA_ATTACKS)) {
+      if (!form[type]) continue;
+      const { ammo, hasAmmo } = first;
+      this.shared.attacks.push({ label: i18n.localize(label), attackBonus: "0", type, ammo, hasAmmo, chargeCost: null });
+    }
+    return form;
+  }
+
+  async alterRollData(form = {}) {
+    this._count("alterRollData");
+    const shared = this.shared;
+    if (form["attack-bonus"]) shared.attackBonus.push(form["attack-bonus"]);
+    if (form["damage-bonus"]) shared.damageBonus.push(form["damage-bonus"]);
+    if (form.charge) {
+      shared.charge = true;
+      shared.attackBonus.push(`2[${i18n.localize("PF1.Charge")}]`);
+    }
+    if (form["rapid-shot"]) shared.attackBonus.push(`-2[${i18n.localize("PF1.RapidShot")}]`);
+    shared.powerAttack = !!form["power-attack"];
+    if (shared.powerAttack) {
+      const penalty = -(1 + Math.floor(shared.rollData.bab / 4));
+      shared.attackBonus.push(`${penalty}[${i18n.localize("PF1.PowerAttack")}]`);
+    }
+    shared.fullAttack = form.fullAttack !== false;
+  }
+
+  async handleConditionals() {
+    this._count("handleConditionals");
+  }
+
+  async prepareChargeCost() {
+    this._count("prepareChargeCost");
+    this.shared.rollData.chargeCost = this.action.chargeCost;
+  }
+
+  async checkAttackRequirements() {
+    return 0;
+  }
+
+  async getTargets() {
+    this.shared.targets = [...game.user.targets];
+  }
+
+  _getConditionalParts() {
+    return {};
+  }
+
+  async executeScriptCalls() {}
+
+  async addFootnotes() {}
+
+  updateAmmoUsage() {}
+
+  async handleDiceSoNice() {
+    this._count("handleDiceSoNice");
+  }
+
+  async getMessageData() {
+    this.shared.chatData = { rollMode: this.shared.rollMode };
+    if (this.item.type === "spell") {
+      Object.assign(this.shared.templateData, { isSpell: true, description: `<p>${this.item.name}</p>` });
+    }
+  }
+
+  async postMessage() {
+    this._count("postMessage");
+    const message = await ChatMessage.create({
+      ...this.shared.chatData,
+      templateData: { ...this.shared.templateData },
+      chatAttacks: this.shared.chatAttacks,
+    });
+    this.shared.message = message;
+    return message;
+  }
+
+  /**
+   * The system's own flow, much reduced: what a full attack does when nothing wraps it.
+   */
+  async process({ skipDialog = false } = {}) {
+    this._count("process");
+    await this.checkRequirements();
+    await this.autoSelectAmmo();
+    this.getRollData();
+    this.shared.fullAttack = true;
+    await this.generateAttacks(true);
+    const form = skipDialog ? {} : await this.createAttackDialog();
+    if (!form) return;
+    await this.alterRollData(form);
+    Hooks.callAll("pf1CreateActionUse", this);
+    return this;
+  }
+}
+
+class ChatAttack {
+  constructor(action, { label, rollData, targets, actionUse } = {}) {
+    this.action = action;
+    this.label = label;
+    this.rollData = rollData;
+    this.targets = targets;
+    this.actionUse = actionUse;
+    this.hasCritConfirm = false;
+  }
+
+  async addAttack({ extraParts = [] } = {}) {
+    const d20 = _nextD20();
+    /** The parts the attack was rolled with, for assertions */
+    this.attackParts = extraParts;
+    const bonus = extraParts.reduce((total, part) => total + evaluateFormula(part, this.rollData), 0);
+    this.attack = { d20: { total: d20 }, total: d20 + bonus };
+    this.hasCritConfirm = d20 >= (this.action.ability.critRange ?? 20);
+    if (this.hasCritConfirm) {
+      const confirm = _nextD20();
+      this.critConfirm = { d20: { total: confirm }, total: confirm + bonus };
+    }
+  }
+
+  async addDamage({ extraParts = [], critical = false } = {}) {
+    const base = critical ? 0 : 5 + (this.rollData.abilities?.str?.mod ?? 0);
+    const total = base + extraParts.reduce((sum, part) => sum + evaluateFormula(part, this.rollData), 0);
+    if (critical) this.critDamage = { total, parts: extraParts };
+    else this.damage = { total, parts: extraParts };
+  }
+
+  setAmmo(id) {
+    this.ammo = { id };
+  }
+
+  async addEffectNotes() {}
+}
+
+// ---- Applications ---- //
+
+class ApplicationV2 {
+  static DEFAULT_OPTIONS = {};
+
+  constructor(options = {}) {
+    this.options = options;
+    this.position = { zIndex: 0, ...options.position };
+    this.rendered = false;
+    /** Context of the last render, for assertions */
+    this.context = null;
+  }
+
+  async render(options = {}) {
+    if (!this.rendered && !options.force) return this;
+    this.rendered = true;
+    this.context = await this._prepareContext(options);
+    return this;
+  }
+
+  async close(options = {}) {
+    if (!this.rendered) return this;
+    this.rendered = false;
+    this._onClose(options);
+    return this;
+  }
+
+  async _prepareContext() {
+    return {};
+  }
+
+  _onClose() {}
+}
+
+/** Responses the next DialogV2 calls resolve with, in order */
+export const dialogResponses = [];
+
+const DialogV2 = {
+  wait: async () => dialogResponses.shift() ?? null,
+  prompt: async () => dialogResponses.shift() ?? null,
+  confirm: async () => dialogResponses.shift() ?? false,
+};
+
+const messages = new Collection();
+const ChatMessage = {
+  getSpeaker: ({ actor } = {}) => ({ actor: actor?.id ?? null }),
+  applyRollMode: (chatData, rollMode) => {
+    chatData.rollMode = rollMode;
+  },
+  async create(data) {
+    const id = _randomID("message");
+    const message = {
+      id,
+      ...data,
+      getFlag: (scope, key) => _getProperty(data.flags?.[scope] ?? {}, key),
+      delete: async () => messages.delete(id),
+    };
+    messages.set(id, message);
+    return message;
+  },
+};
+
+// ---- Socket ---- //
+
+const _socketListeners = {};
+
+/**
+ * Deliver a socket message from another client, as the server would.
+ * @param {string} name Socket name
+ * @param {object} message
+ * @param {string} senderId User who emitted the message
+ */
+export function receiveSocket(name, message, senderId) {
+  for (const fn of _socketListeners[name] ?? []) fn(message, senderId);
+}
+
+// ---- Globals ---- //
+
+class UserTargets extends Set {
+  get ids() {
+    return [...this].map((token) => token.id);
+  }
+}
+
+const libWrapper = {
+  /** Wrappers registered, as [package, target, fn, type] */
+  registered: [],
+
+  /**
+   * Wrap the target method the way libWrapper does: later registrations wrap earlier ones.
+   */
+  register(packageId, target, fn, type) {
+    this.registered.push([packageId, target, fn, type]);
+    const path = target.split(".");
+    const name = path.pop();
+    const owner = path.reduce((obj, part) => obj[part], globalThis);
+    const original = owner[name];
+    owner[name] = function (...args) {
+      return fn.call(this, original.bind(this), ...args);
+    };
+  },
+};
+
+Object.assign(globalThis, {
+  document,
+  HTMLElement: MockElement,
+  Hooks,
+  ui,
+  libWrapper,
+  Item,
+  Actor,
+  ChatMessage,
+  fromUuidSync,
+  fromUuid: async (uuid) => fromUuidSync(uuid),
+  canvas: { ready: false, scene: null, tokens: { placeables: [] } },
+  CONST: {
+    DICE_ROLL_MODES: { PUBLIC: "publicroll", SELF: "selfroll" },
+    TOKEN_DISPOSITIONS: { HOSTILE: -1, NEUTRAL: 0, FRIENDLY: 1 },
+  },
+  foundry: {
+    utils: {
+      deepClone: (value) => (value === undefined ? value : structuredClone(value)),
+      mergeObject: _mergeObject,
+      getProperty: _getProperty,
+      setProperty: _setProperty,
+      hasProperty: (object, key) => _getProperty(object, key) !== undefined,
+      debounce: (fn) => fn,
+      randomID: () => _randomID("id"),
+      escapeHTML: (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`),
+    },
+    applications: {
+      api: { ApplicationV2, HandlebarsApplicationMixin: (base) => base, DialogV2 },
+      instances: new Map(),
+    },
+  },
+  game: {
+    release: { generation: 13 },
+    settings,
+    keybindings,
+    i18n,
+    messages,
+    user: { id: "user1", name: "Player", isGM: false, targets: new UserTargets(), broadcastActivity() {} },
+    users: new Collection(),
+    actors: new Collection(),
+    combat: null,
+    modules: new Collection([
+      [SCOPE, { id: SCOPE, active: true }],
+      ["lib-wrapper", { id: "lib-wrapper", active: true }],
+    ]),
+    socket: {
+      on: (name, fn) => (_socketListeners[name] ??= []).push(fn),
+      emit() {},
+    },
+  },
+  pf1: {
+    actionUse: {
+      ActionUse,
+      ChatAttack,
+      ERR_REQUIREMENT: { INSUFFICIENT_AMMO: 1, INSUFFICIENT_CHARGES: 2 },
+    },
+    dice: { RollPF },
+    documents: {
+      actor: {
+        ActorPF: {
+          /** Damage applied straight to hit points, without DR or a dialog */
+          async applyDamage(value, { targets = [] } = {}) {
+            for (const actor of targets) actor.system.attributes.hp.value -= value;
+          },
+        },
+      },
+    },
+    utils: {
+      createTag: (name) => name.replace(/\W/g, "").toLowerCase(),
+      formula: { simplify: (formula) => formula },
+    },
+  },
+});
+
+game.users.set(game.user.id, game.user);
+settings.register("core", "rollMode", { scope: "client", type: String, default: "publicroll" });
+settings.register("pf1", "clearTargetsAfterAttack", { scope: "client", type: Boolean, default: false });
+
+// The module traces its flow with console.debug; keep test output to the results
+console.debug = () => {};
+
+// ---- Module Loading ---- //
+
+/**
+ * Load the module and run its init and ready hooks, as Foundry does on startup.
+ * @returns {Promise<object>} The module's API
+ */
+export async function loadModule() {
+  await import("../scripts/sequential-attacks.mjs");
+  Hooks.callAll("init");
+  Hooks.callAll("ready");
+  return game.modules.get(SCOPE).api;
+}
+
+/**
+ * Reset what the tests change between runs: settings, notifications, hook calls,
+ * queued rolls and dialog responses.
+ * @param {object} [values] Module setting values to use instead of the defaults
+ */
+export async function resetState(values = {}) {
+  for (const [key, setting] of _settings) {
+    setting.value = structuredClone(setting.config.default);
+    const [scope, name] = key.split(".");
+    if (scope === SCOPE && name in values) setting.value = values[name];
+  }
+  for (const list of Object.values(notifications)) list.length = 0;
+  Hooks.calls.length = 0;
+  _d20.length = 0;
+  dialogResponses.length = 0;
+  game.user.targets.clear();
+  messages.clear();
+  ActionUse.dialogResult = { fullAttack: true };
+}
+
+/**
+ * Let pending promise callbacks run until the condition holds.
+ * @param {() => any} condition
+ * @returns {Promise<any>} The condition's value
+ */
+export async function waitFor(condition) {
+  for (let i = 0; i < 100; i++) {
+    const value = condition();
+    if (value) return value;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+export { ActionUse, ChatAttack, Hooks, notifications };
@@ -0,0 +1,43 @@
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+
+import { LANG, loadModule } from "./harness.mjs";
+
+let localizeCount;
+
+before(async () => {
+  await loadModule();
+  ({ localizeCount } = await import("../scripts/i18n.mjs"));
+});
+
+/**
+ * The contents of every file in a directory of the module.
+ * @param {string} dir
+ * @returns {[string, string][]} File names and contents
+ */
+function readSources(dir) {
+  const url = new URL(`../${dir}/`, import.meta.url);
+  return readdirSync(url).map((name) => [name, readFileSync(new URL(name, url), "utf8")]);
+}
+
+describe("language file", () => {
+  test("every key the scripts and templates use is in the English file", () => {
+    const missing = [];
+    for (const [name, source] of [...readSources("scripts"), ...readSources("templates")]) {
+      const keys = [...source.matchAll(/["'`](PF1SEQ\.[\w.]+)["'`]/g)].map(([, key]) => key);
+      // Routine manager strings go through a helper that adds the prefix
+      for (const [, key] of source.matchAll(/_localize\("(\w+)"\)/g)) keys.push(`PF1SEQ.Routines.${key}`);
+      for (const key of keys) {
+        // Plural strings are looked up by category
+        if (!(key in LANG) && !(`${key}.other` in LANG)) missing.push(`${name}: ${key}`);
+      }
+    }
+    assert.deepEqual(missing, []);
+  });
+
+  test("counts pick the plural form", () => {
+    assert.equal(localizeCount("PF1SEQ.Tracker.Progress", 1, { progress: 1 }), "1 / 1 attack");
+    assert.equal(localizeCount("PF1SEQ.Tracker.Progress", 4, { progress: 2 }), "2 / 4 attacks");
+  });
+});
@@ -0,0 +1,116 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addAttackItem, createAttacker, LANG, loadModule, resetState, waitFor } from "./harness.mjs";
+
+let SequentialAttackTracker;
+let runRoutine;
+let saveRoutine;
+
+before(async () => {
+  await loadModule();
+  ({ SequentialAttackTracker } = await import("../scripts/tracker.mjs"));
+  ({ runRoutine, saveRoutine } = await import("../scripts/routines.mjs"));
+});
+
+beforeEach(() => resetState());
+
+after(() => {
+  for (const tracker of SequentialAttackTracker.active.values()) tracker._cancel();
+});
+
+/**
+ * Add a natural attack with a single attack to the actor.
+ * @param {MockActor} actor
+ * @param {string} name
+ * @param {object} [naturalAttack] The action's natural attack data
+ * @returns {{item: MockItem, action: MockAction}}
+ */
+function addNaturalAttack(actor, name, naturalAttack = null) {
+  const { item, action } = addAttackItem(actor, {
+    item: { name, type: "attack", subType: "natural" },
+    action: { attacks: ["0"] },
+  });
+  action.naturalAttack = naturalAttack;
+  return { item, action };
+}
+
+/**
+ * Save a routine on the actor, run it and wait for its tracker.
+ * @param {MockActor} actor
+ * @param {object[]} entries As {item, action, secondary, maxAttacks}
+ * @returns {Promise<{tracker: SequentialAttackTracker, done: Promise<any>}>}
+ */
+async function startRoutine(actor, entries) {
+  const routine = {
+    id: "routine1".padEnd(16, "0"),
+    name: "Full Routine",
+    sort: 1,
+    entries: entries.map(({ item, action, secondary = false, maxAttacks = 0 }) => ({
+      itemId: item.id,
+      actionId: action.id,
+      secondary,
+      maxAttacks,
+    })),
+  };
+  await saveRoutine(actor, routine);
+  const done = runRoutine(actor, routine.id);
+  const tracker = await waitFor(() => SequentialAttackTracker.active.get(actor.uuid));
+  return { tracker, done };
+}
+
+/**
+ * @param {SequentialAttackTracker} tracker
+ * @returns {number[]} How many secondary penalties each source carries
+ */
+function secondaryPenalties(tracker) {
+  const tag = `[${LANG["PF1SEQ.Routines.SecondaryPenalty"]}]`;
+  return tracker.sources.map((source) => source.actionUse.shared.attackBonus.filter((part) => part.endsWith(tag)).length);
+}
+
+describe("routines", () => {
+  test("natural attacks alongside weapon attacks are made secondary", async () => {
+    const { actor, item, action } = createAttacker();
+    const bite = addNaturalAttack(actor, "Bite");
+    const { tracker, done } = await startRoutine(actor, [{ item, action }, bite]);
+
+    assert.deepEqual(secondaryPenalties(tracker), [0, 1]);
+    assert.deepEqual(tracker.sources.map((source) => source.secondary), [false, true]);
+    await tracker._cancel();
+    await done;
+  });
+
+  test("natural attacks on their own are only secondary when the entry says so", async () => {
+    const { actor, item, action } = createAttacker({
+      item: { name: "Bite", type: "attack", subType: "natural" },
+      action: { attacks: ["0"] },
+    });
+    const claw = addNaturalAttack(actor, "Claw");
+    const { tracker, done } = await startRoutine(actor, [{ item, action }, { ...claw, secondary: true }]);
+
+    assert.deepEqual(secondaryPenalties(tracker), [0, 1]);
+    await tracker._cancel();
+    await done;
+  });
+
+  test("actions already set up as secondary don't get the penalty a second time", async () => {
+    const { actor, item, action } = createAttacker();
+    const tail = addNaturalAttack(actor, "Tail Slap", { primaryAttack: false, secondary: { attackBonus: "-5" } });
+    const { tracker, done } = await startRoutine(actor, [{ item, action }, { ...tail, secondary: true }]);
+
+    assert.deepEqual(secondaryPenalties(tracker), [0, 0]);
+    await tracker._cancel();
+    await done;
+  });
+
+  test("an entry's maximum cuts its attacks short", async () => {
+    const { actor, item, action } = createAttacker({ action: { attacks: ["0", "-5", "-10"] } });
+    const bite = addNaturalAttack(actor, "Bite");
+    const { tracker, done } = await startRoutine(actor, [{ item, action, maxAttacks: 2 }, bite]);
+
+    assert.deepEqual(tracker.sources.map((source) => source.attacks.length), [2, 1]);
+    assert.equal(tracker.allAttacks.length, 3);
+    await tracker._cancel();
+    await done;
+  });
+});
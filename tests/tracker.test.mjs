@@ -0,0 +1,745 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ActionUse,
+  createAttacker,
+  createTarget,
+  dialogResponses,
+  endCombat,
+  Hooks,
+  loadModule,
+  notifications,
+  pressKey,
+  queueD20,
+  receiveSocket,
+  resetState,
+  startCombat,
+  waitFor,
+} from "./harness.mjs";
+
+let api;
+let SequentialAttackTracker;
+let historyToCSV;
+
+before(async () => {
+  api = await loadModule();
+  ({ SequentialAttackTracker } = await import("../scripts/tracker.mjs"));
+  ({ historyToCSV } = await import("../scripts/history.mjs"));
+});
+
+beforeEach(() => resetState({ userMode: "always" }));
+
+after(() => {
+  for (const tracker of SequentialAttackTracker.active.values()) tracker._cancel();
+});
+
+/**
+ * Start a full attack through the wrapped ActionUse.process() and wait for its tracker.
+ * @returns {Promise<{tracker: SequentialAttackTracker, done: Promise<any>, actionUse: ActionUse}>}
+ */
+async function startFullAttack({ actor, item, action }) {
+  const actionUse = new pf1.actionUse.ActionUse({ item, action, actor });
+  const done = actionUse.process();
+  const tracker = await waitFor(() => SequentialAttackTracker.active.get(actor.uuid));
+  await waitFor(() => tracker.app?.context);
+  return { tracker, done, actionUse };
+}
+
+describe("rolling", () => {
+  test("each attack posts its own card, tagged with its place in the sequence", async () => {
+    const attacker = createAttacker({ action: { attacks: ["0", "-5", "-10"] } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    assert.equal(tracker.allAttacks.length, 3);
+    queueD20(12, 8, 3);
+    await tracker._rollNext();
+    await tracker._rollNext();
+    assert.equal(game.messages.size, 2);
+    assert.deepEqual(
+      game.messages.contents.map((message) => message.flags["pf1-sequential-attacks"].index),
+      [0, 1]
+    );
+
+    await tracker._rollNext();
+    assert.equal(tracker._completed, true);
+    tracker._finish();
+    assert.equal(await done, tracker.actionUse);
+    assert.equal(SequentialAttackTracker.active.size, 0);
+  });
+
+  test("attack totals use each attack's own bonus and the actor's current stats", async () => {
+    const attacker = createAttacker({ actor: { bab: 6 }, action: { attacks: ["@bab", "@bab - 5"] } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    queueD20(10, 10);
+    await tracker._rollNext();
+    // A buff between attacks applies to the next one
+    attacker.actor.system.attributes.bab.total = 8;
+    await tracker._rollNext();
+
+    const [first, second] = tracker.allAttacks.map((atk) => tracker.resultOf(atk));
+    assert.equal(first.total, 16);
+    assert.equal(second.total, 13);
+    // The rows keep the bonus each attack was rolled with
+    tracker.app.render();
+    await waitFor(() => tracker.app.context.attacks[1].bonus === "+3");
+    assert.equal(tracker.app.context.attacks[0].bonus, "+6");
+    tracker._finish();
+    await done;
+  });
+
+  test("the charge bonus only applies to the first attack", async () => {
+    ActionUse.dialogResult = { fullAttack: true, charge: true };
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._rollNext();
+    await tracker._rollNext();
+    const [first, second] = tracker.allAttacks.map((atk) => atk.chatAttack.attackParts);
+    assert.ok(first.some((part) => part.includes("[Charge]")));
+    assert.ok(!second.some((part) => part.includes("[Charge]")));
+    tracker._finish();
+    await done;
+  });
+
+  test("the charge bonus goes to the first attack rolled, even after a skip or an undo", async () => {
+    ActionUse.dialogResult = { fullAttack: true, charge: true };
+    const attacker = createAttacker({ action: { attacks: ["0", "-5", "-10"] } });
+    const { tracker, done, actionUse } = await startFullAttack(attacker);
+
+    await tracker._skipCurrentAttack();
+    await tracker._rollNext();
+    await tracker._undoLastAttack();
+    await tracker._rollNext();
+    await tracker._rollNext();
+    const [, second, third] = tracker.allAttacks.map((atk) => atk.chatAttack?.attackParts);
+    assert.ok(second.some((part) => part.includes("[Charge]")));
+    assert.ok(!third.some((part) => part.includes("[Charge]")));
+    assert.equal(actionUse.formData.charge, true);
+    tracker._finish();
+    await done;
+  });
+
+  test("power attack is recomputed from the BAB at the time of each attack", async () => {
+    ActionUse.dialogResult = { fullAttack: true, "power-attack": true };
+    const attacker = createAttacker({ actor: { bab: 7, str: 0 }, action: { attacks: ["0", "-5"] } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._rollNext();
+    attacker.actor.system.attributes.bab.total = 8;
+    await tracker._rollNext();
+
+    // Power attack damage: (1 + floor(BAB / 4)) * 2
+    const [first, second] = tracker.allAttacks.map((atk) => atk.chatAttack.damage.parts);
+    assert.ok(first.includes("4[Power Attack]"));
+    assert.ok(second.includes("6[Power Attack]"));
+    tracker._finish();
+    await done;
+  });
+
+  test("hooks announce the start, each attack and the end with a summary", async () => {
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+    await tracker._rollNext();
+    await tracker._skipCurrentAttack();
+    tracker._finish();
+    await done;
+
+    assert.equal(Hooks.callsOf("pf1SequentialStart").length, 1);
+    const [[, resolved]] = Hooks.callsOf("pf1SequentialAttackResolved");
+    assert.equal(resolved.index, 0);
+    assert.ok(resolved.message);
+    assert.deepEqual(Hooks.callsOf("pf1SequentialSkip").map(([, { index }]) => index), [1]);
+
+    const [[, outcome, summary]] = Hooks.callsOf("pf1SequentialEnd");
+    assert.equal(outcome, "completed");
+    assert.deepEqual(summary.attacks.map((atk) => atk.status), ["rolled", "skipped"]);
+  });
+});
+
+describe("skipping and cancelling", () => {
+  test("skipped attacks post nothing and finish the sequence when last", async () => {
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._skipCurrentAttack();
+    await tracker._skipCurrentAttack();
+    assert.equal(game.messages.size, 0);
+    assert.deepEqual([...tracker.skippedIndices], [0, 1]);
+    assert.equal(tracker._completed, true);
+    tracker._finish();
+    await done;
+  });
+
+  test("a skipped attack can be restored to the queue", async () => {
+    const attacker = createAttacker({ action: { attacks: ["0", "-5", "-10"] } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    const skipped = tracker.allAttacks[0];
+    await tracker._skipCurrentAttack();
+    await tracker._undoOrRestore();
+    assert.equal(tracker.currentIndex, 0);
+    assert.equal(tracker.allAttacks[0], skipped);
+    assert.equal(tracker.skippedIndices.size, 0);
+    tracker._cancel();
+    await done;
+  });
+
+  test("cancelling ends the sequence without rolling the rest and clears the saved state", async () => {
+    const attacker = createAttacker({ action: { attacks: ["0", "-5", "-10"] } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._rollNext();
+    assert.ok(attacker.actor.getFlag("pf1-sequential-attacks", "sequence"));
+    tracker._cancel();
+    assert.equal(await done, undefined);
+    assert.equal(game.messages.size, 1);
+    assert.equal(attacker.actor.getFlag("pf1-sequential-attacks", "sequence"), undefined);
+  });
+
+  test("closing the window lets the user pause, keeping the saved state", async () => {
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._rollNext();
+    dialogResponses.push("paused");
+    await tracker.app.close();
+    await done;
+    const state = attacker.actor.getFlag("pf1-sequential-attacks", "sequence");
+    assert.equal(state.currentIndex, 1);
+    assert.deepEqual(state.resolved, [0]);
+  });
+
+  test("pausing mid-roll waits for the roll and saves it as rolled", async () => {
+    const landed = [];
+    game.dice3d = { isEnabled: () => true, showForRoll: () => new Promise((resolve) => landed.push(resolve)) };
+    try {
+      const attacker = createAttacker();
+      const { tracker, done } = await startFullAttack(attacker);
+
+      const rolling = tracker._rollNext();
+      await waitFor(() => landed.length);
+      const pausing = tracker._pause();
+      assert.ok(!tracker._completed);
+      for (const resolve of landed) resolve(true);
+      await rolling;
+      await pausing;
+      await done;
+
+      const state = attacker.actor.getFlag("pf1-sequential-attacks", "sequence");
+      assert.deepEqual(state.resolved, [0]);
+      assert.equal(state.currentIndex, 1);
+      assert.equal(game.messages.size, 1);
+    } finally {
+      delete game.dice3d;
+    }
+  });
+
+  test("a turn ending mid-roll skips only the attacks after the one being rolled", async () => {
+    await game.settings.set("pf1-sequential-attacks", "turnEndBehavior", "skip");
+    const landed = [];
+    game.dice3d = { isEnabled: () => true, showForRoll: () => new Promise((resolve) => landed.push(resolve)) };
+    const attacker = createAttacker();
+    const combat = startCombat([attacker.actor, createAttacker({ actor: { name: "Orc" } }).actor]);
+    try {
+      const { tracker, done } = await startFullAttack(attacker);
+
+      const rolling = tracker._rollNext();
+      await waitFor(() => landed.length);
+      combat.turn = 1;
+      combat.combatant = combat.combatants.contents[1];
+      const turnEnded = tracker._onCombatTurn(combat, { turn: 1 });
+      assert.ok(!tracker._completed);
+      for (const resolve of landed) resolve(true);
+      await rolling;
+      await turnEnded;
+
+      assert.deepEqual([...tracker.resolvedIndices], [0]);
+      assert.deepEqual([...tracker.skippedIndices], [1]);
+      assert.equal(tracker.currentIndex, 2);
+      await tracker._cancel();
+      await done;
+    } finally {
+      endCombat();
+      delete game.dice3d;
+    }
+  });
+
+  test("damage applied before a pause is still counted per target after resuming", async () => {
+    const goblin = createTarget({ ac: 15 });
+    const attacker = createAttacker({ action: { attacks: ["0", "-5", "-10"] } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    queueD20(15);
+    await tracker._rollNext();
+    await tracker._applyDamage(0, { critical: false, ratio: 1, forceDialog: false });
+    tracker._pause();
+    await done;
+
+    const resumed = api.resumeSequence(attacker.actor);
+    const next = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    assert.deepEqual(next.damageDealt, { [goblin.document.uuid]: { name: "Goblin", total: 9 } });
+    next._cancel();
+    await resumed;
+    assert.deepEqual(api.getSequenceHistory(attacker.actor).at(-1).damageDealt, [{ name: "Goblin", total: 9 }]);
+  });
+
+  test("undoing an attack takes its damage off the totals", async () => {
+    const goblin = createTarget({ ac: 10 });
+    const attacker = createAttacker({ action: { attacks: ["0", "-5", "-10"] } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    queueD20(15, 18);
+    await tracker._rollNext();
+    await tracker._applyDamage(0, { critical: false, ratio: 1, forceDialog: false });
+    await tracker._rollNext();
+    await tracker._applyDamage(1, { critical: false, ratio: 1, forceDialog: false });
+    assert.equal(tracker.damageDealt[goblin.document.uuid].total, 18);
+
+    await tracker._undoLastAttack();
+    assert.deepEqual(tracker.damageDealt, { [goblin.document.uuid]: { name: "Goblin", total: 9 } });
+    await tracker._undoLastAttack();
+    assert.deepEqual(tracker.damageDealt, {});
+    tracker._cancel();
+    await done;
+  });
+
+  test("damage is only marked as applied once it has been dealt", async () => {
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+
+    queueD20(15);
+    await tracker._rollNext();
+    await tracker._applyDamage(0, { critical: false, ratio: 1, forceDialog: false });
+    assert.equal(notifications.warn.length, 1);
+    assert.ok(!tracker.resultOf(tracker.allAttacks[0]).applied);
+    tracker._cancel();
+    await done;
+  });
+
+  test("starting over a paused sequence replaces its saved state", async () => {
+    createTarget({ ac: 15 });
+    const attacker = createAttacker();
+    const first = await startFullAttack(attacker);
+    queueD20(15);
+    await first.tracker._rollNext();
+    await first.tracker._applyDamage(0, { critical: false, ratio: 1, forceDialog: false });
+    first.tracker._pause();
+    await first.done;
+
+    dialogResponses.push(true);
+    const { tracker, done } = await startFullAttack(attacker);
+    const state = attacker.actor.getFlag("pf1-sequential-attacks", "sequence");
+    assert.deepEqual(state.resolved, []);
+    assert.deepEqual(state.damageDealt, []);
+    tracker._cancel();
+    await done;
+  });
+
+  test("keeping a paused sequence stops the new one before its use is prepared", async () => {
+    const attacker = createAttacker();
+    const first = await startFullAttack(attacker);
+    await first.tracker._rollNext();
+    first.tracker._pause();
+    await first.done;
+
+    dialogResponses.push(false);
+    const actionUse = new pf1.actionUse.ActionUse({ ...attacker });
+    assert.equal(await actionUse.process(), undefined);
+    assert.equal(actionUse.calls.alterRollData, undefined);
+    assert.deepEqual(attacker.actor.getFlag("pf1-sequential-attacks", "sequence").resolved, [0]);
+  });
+
+  test("only a GM, as the server reports the sender, can cancel another user's sequence", async () => {
+    game.users.set("gm1", { id: "gm1", name: "GM", isGM: true });
+    game.users.set("user2", { id: "user2", name: "Other Player", isGM: false });
+    try {
+      const attacker = createAttacker();
+      const { tracker, done } = await startFullAttack(attacker);
+      const payload = { actorUuid: attacker.actor.uuid, userId: game.user.id, action: "cancel" };
+
+      // A player claiming to be the GM
+      receiveSocket("module.pf1-sequential-attacks", { type: "sequenceControl", payload, senderId: "gm1" }, "user2");
+      assert.ok(!tracker._completed);
+
+      receiveSocket("module.pf1-sequential-attacks", { type: "sequenceControl", payload }, "gm1");
+      await done;
+      assert.equal(tracker.cancelReason, "gm");
+    } finally {
+      game.users.delete("gm1");
+      game.users.delete("user2");
+    }
+  });
+
+  test("a keyboard shortcut that fails reports the error", async () => {
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+    tracker._undoOrRestore = async () => {
+      throw new Error("Undo failed");
+    };
+
+    assert.equal(pressKey("undo"), true);
+    await waitFor(() => notifications.error.length);
+    tracker._cancel();
+    await done;
+  });
+
+  test("undo deletes the card and refunds the ammunition", async () => {
+    const attacker = createAttacker({
+      action: { ammoType: "arrow", actionType: "rwak" },
+      ammo: [{ name: "Arrows", quantity: 5 }],
+    });
+    const [arrows] = attacker.ammo;
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._rollNext();
+    assert.equal(arrows.system.quantity, 4);
+    await tracker._undoLastAttack();
+    assert.equal(arrows.system.quantity, 5);
+    assert.equal(game.messages.size, 0);
+    assert.equal(tracker.currentIndex, 0);
+    tracker._cancel();
+    await done;
+  });
+});
+
+describe("spells", () => {
+  test("only the first ray rolled carries the casting data", async () => {
+    const attacker = createAttacker({
+      item: { name: "Scorching Ray", type: "spell" },
+      action: { actionType: "rsak", attacks: ["0", "0", "0"] },
+    });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._skipCurrentAttack();
+    await tracker._rollNext();
+    await tracker._rollNext();
+    const cards = game.messages.contents;
+    assert.equal(cards.length, 2);
+    assert.deepEqual(cards.map((card) => card.templateData.isSpell ?? false), [true, false]);
+    assert.deepEqual(cards.map((card) => !!card.templateData.description), [true, false]);
+    assert.deepEqual(cards.map((card) => card.getFlag("pf1-sequential-attacks", "cast")), [true, false]);
+    tracker._finish();
+    await done;
+  });
+});
+
+describe("options", () => {
+  test("turning rapid shot off sets its attack and penalty aside until it is turned back on", async () => {
+    ActionUse.dialogResult = { fullAttack: true, "rapid-shot": true };
+    const attacker = createAttacker({
+      action: { ammoType: "arrow", actionType: "rwak" },
+      ammo: [{ name: "Arrows", quantity: 5 }],
+    });
+    const [arrows] = attacker.ammo;
+    const { tracker, done, actionUse } = await startFullAttack(attacker);
+    const hasPenalty = (parts) => parts.some((part) => part.includes("[Rapid Shot]"));
+    assert.deepEqual(tracker.allAttacks.map((atk) => atk.type ?? null), [null, null, "rapid-shot"]);
+
+    await tracker._changeOption(0, "rapid-shot", false);
+    assert.equal(tracker.allAttacks.length, 2);
+    assert.ok(!hasPenalty(actionUse.shared.attackBonus));
+    await waitFor(() => tracker.app.context.options[0]?.extraAttacks[0]?.checked === false);
+    await tracker._rollNext();
+    assert.ok(!hasPenalty(tracker.allAttacks[0].chatAttack.attackParts));
+
+    await tracker._changeOption(0, "rapid-shot", true);
+    const restored = tracker.allAttacks.at(-1);
+    assert.equal(restored.type, "rapid-shot");
+    assert.equal(restored.ammo.id, arrows.id);
+    assert.ok(hasPenalty(actionUse.shared.attackBonus));
+    assert.deepEqual(attacker.actor.getFlag("pf1-sequential-attacks", "sequence").sources[0].setAside, []);
+    tracker._cancel();
+    await done;
+  });
+
+  test("an extra attack set aside stays aside across a pause and can be brought back", async () => {
+    ActionUse.dialogResult = { fullAttack: true, "haste-attack": true };
+    const attacker = createAttacker();
+    const first = await startFullAttack(attacker);
+    await first.tracker._changeOption(0, "haste-attack", false);
+    first.tracker._pause();
+    await first.done;
+
+    const resumed = api.resumeSequence(attacker.actor);
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    assert.equal(tracker.allAttacks.length, 2);
+    await tracker._changeOption(0, "haste-attack", true);
+    assert.deepEqual(tracker.allAttacks.map((atk) => atk.type ?? null), [null, null, "haste-attack"]);
+    tracker._cancel();
+    await resumed;
+  });
+});
+
+describe("resources", () => {
+  test("ammunition can only be changed for attacks still to roll", async () => {
+    const attacker = createAttacker({
+      action: { ammoType: "arrow", actionType: "rwak" },
+      ammo: [
+        { name: "Arrows", quantity: 5 },
+        { name: "Cold Iron Arrows", quantity: 5 },
+      ],
+    });
+    const [arrows, coldIron] = attacker.ammo;
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._rollNext();
+    await tracker._setAmmo(0, coldIron.id);
+    assert.equal(tracker.allAttacks[0].ammo.id, arrows.id);
+    await tracker._setAmmo(1, coldIron.id);
+    assert.equal(tracker.allAttacks[1].ammo.id, coldIron.id);
+    tracker._cancel();
+    await done;
+  });
+
+  test("ammunition is deducted one attack at a time", async () => {
+    const attacker = createAttacker({
+      action: { ammoType: "arrow", actionType: "rwak", attacks: ["0", "-5", "-10"] },
+      ammo: [{ name: "Arrows", quantity: 10 }],
+    });
+    const [arrows] = attacker.ammo;
+    const { tracker, done } = await startFullAttack(attacker);
+
+    assert.equal(arrows.system.quantity, 10);
+    await tracker._rollNext();
+    assert.equal(arrows.system.quantity, 9);
+    await tracker._skipCurrentAttack();
+    await tracker._rollNext();
+    assert.equal(arrows.system.quantity, 8);
+    tracker._finish();
+    await done;
+  });
+
+  test("attacks without ammunition are left out, and running dry stops the roll", async () => {
+    const attacker = createAttacker({
+      action: { ammoType: "arrow", actionType: "rwak", attacks: ["0", "-5", "-10"] },
+      ammo: [{ name: "Arrows", quantity: 2 }],
+    });
+    const [arrows] = attacker.ammo;
+    const { tracker, done } = await startFullAttack(attacker);
+    assert.equal(tracker.allAttacks.length, 2);
+
+    // Arrows lost between attacks
+    arrows.system.quantity = 0;
+    await tracker._rollNext();
+    assert.equal(tracker.currentIndex, 0);
+    assert.equal(game.messages.size, 0);
+    assert.deepEqual(notifications.warn, ["Ammunition depleted."]);
+    tracker._cancel();
+    await done;
+  });
+
+  test("no ammunition at all refuses the full attack", async () => {
+    const attacker = createAttacker({
+      action: { ammoType: "arrow", actionType: "rwak" },
+      ammo: [{ name: "Arrows", quantity: 0 }],
+    });
+    const actionUse = new pf1.actionUse.ActionUse({ ...attacker });
+    const result = await actionUse.process();
+    assert.equal(result.code, pf1.actionUse.ERR_REQUIREMENT.INSUFFICIENT_AMMO);
+    assert.equal(SequentialAttackTracker.active.size, 0);
+  });
+
+  test("per-attack charges leave out the attacks that can't be paid for", async () => {
+    const attacker = createAttacker({
+      item: { charges: 3 },
+      action: { perAttack: true, chargeCost: 2, attacks: ["0", "-5", "-10"] },
+    });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    assert.equal(tracker.allAttacks.length, 1);
+    await tracker._rollNext();
+    assert.equal(attacker.item.charges, 1);
+    tracker._finish();
+    await done;
+  });
+
+  test("attacks left out are listed with the reason, and resources are counted down", async () => {
+    const attacker = createAttacker({
+      action: { ammoType: "arrow", actionType: "rwak", attacks: ["0", "-5", "-10"] },
+      ammo: [{ name: "Arrows", quantity: 2 }],
+    });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    const { context } = tracker.app;
+    assert.deepEqual(context.dropped, [{ label: "Iterative Attack 2", reason: "No ammunition" }]);
+    assert.deepEqual(context.resources.map(({ name, value }) => [name, value]), [["Arrows", 2]]);
+    assert.deepEqual(context.lastUnits, []);
+
+    await tracker._rollNext();
+    const [arrows] = tracker.app.context.resources;
+    assert.equal(arrows.value, 1);
+    assert.equal(arrows.last, true);
+    assert.deepEqual(tracker.app.context.lastUnits, ["This attack uses your last Arrows."]);
+    tracker._cancel();
+    await done;
+  });
+
+  test("a misfire warns, and can stop the sequence", async () => {
+    await game.settings.set("pf1-sequential-attacks", "stopOnMisfire", true);
+    const attacker = createAttacker({
+      action: { ammoType: "bullet", actionType: "rwak", misfire: 1, attacks: ["0", "-5", "-10"] },
+      ammo: [{ name: "Bullets", quantity: 10, type: "bullet" }],
+    });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    queueD20(1);
+    await tracker._rollNext();
+    assert.equal(tracker.resultOf(tracker.allAttacks[0]).misfire, true);
+    assert.ok(notifications.warn.includes("Longsword misfired."));
+    assert.deepEqual([...tracker.skippedIndices], [1, 2]);
+    assert.equal(tracker._completed, true);
+    tracker._finish();
+    await done;
+  });
+
+  test("a once-per-use charge cost is paid with the first rolled attack only", async () => {
+    const attacker = createAttacker({ item: { charges: 5 }, action: { chargeCost: 1 } });
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._skipCurrentAttack();
+    assert.equal(attacker.item.charges, 5);
+    await tracker._rollNext();
+    assert.equal(attacker.item.charges, 4);
+    tracker._finish();
+    await done;
+  });
+});
+
+describe("dice and animations", () => {
+  test("with Dice So Nice, the next attack can't be rolled until the dice have landed", async () => {
+    const landed = [];
+    game.dice3d = {
+      isEnabled: () => true,
+      showForRoll: () => new Promise((resolve) => landed.push(resolve)),
+    };
+    try {
+      const attacker = createAttacker();
+      const { tracker, done, actionUse } = await startFullAttack(attacker);
+
+      const rolling = tracker._rollNext();
+      await waitFor(() => landed.length);
+      assert.equal(tracker.app.context.rolling, true);
+      assert.equal(game.messages.size, 0);
+      await tracker._rollNext();
+      assert.equal(tracker.currentIndex, 0);
+
+      for (const resolve of landed) resolve(true);
+      await rolling;
+      assert.equal(game.messages.size, 1);
+      assert.equal(tracker.app.context.rolling, false);
+      assert.equal(actionUse.calls.handleDiceSoNice, undefined);
+      tracker._cancel();
+      await done;
+    } finally {
+      delete game.dice3d;
+    }
+  });
+
+  test("the configured animation hook is called for each rolled attack", async () => {
+    await game.settings.set("pf1-sequential-attacks", "animationHook", "testAttackAnimation");
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+
+    await tracker._rollNext();
+    await tracker._skipCurrentAttack();
+    const calls = Hooks.callsOf("testAttackAnimation");
+    assert.equal(calls.length, 1);
+    const [called, { index, item, message }] = calls[0];
+    assert.equal(called, tracker);
+    assert.equal(index, 0);
+    assert.equal(item, attacker.item);
+    assert.equal(message, game.messages.contents[0]);
+    tracker._finish();
+    await done;
+  });
+});
+
+describe("summary", () => {
+  test("names are escaped in the tracker and on the summary card", async () => {
+    await game.settings.set("pf1-sequential-attacks", "chatCards", "both");
+    createTarget({ name: "<img src=x onerror=alert(1)>", ac: 15 });
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+    queueD20(15);
+    await tracker._rollNext();
+    await waitFor(() => tracker.app.context.attacks[0].result);
+    const row = tracker.app.context.attacks[0].result;
+    tracker._finish();
+    await done;
+
+    const summary = game.messages.contents.find((message) => message.flags["pf1-sequential-attacks"]?.summary);
+    for (const html of [row, summary.content]) {
+      assert.ok(html.includes("&#60;img src=x onerror=alert(1)&#62;"));
+      assert.ok(!html.includes("<img src=x"));
+    }
+  });
+});
+
+describe("history", () => {
+  test("finished and cancelled sequences are recorded on the actor, up to the limit", async () => {
+    await game.settings.set("pf1-sequential-attacks", "historyLimit", 2);
+    const attacker = createAttacker({ action: { attacks: ["0", "-5"] } });
+    for (let i = 0; i < 2; i++) {
+      const { tracker, done } = await startFullAttack(attacker);
+      queueD20(14);
+      await tracker._rollNext();
+      await tracker._skipCurrentAttack();
+      tracker._finish();
+      await done;
+    }
+
+    const { tracker, done } = await startFullAttack(attacker);
+    queueD20(7);
+    await tracker._rollNext();
+    api.cancel(attacker.actor);
+    await done;
+
+    const history = api.getSequenceHistory(attacker.actor);
+    assert.deepEqual(history.map((entry) => entry.outcome), ["completed", "cancelled"]);
+    const [completed, cancelled] = history;
+    assert.equal(completed.reason, null);
+    assert.equal(completed.combat, null);
+    assert.deepEqual(completed.attacks.map((attack) => attack.status), ["rolled", "skipped"]);
+    assert.equal(completed.attacks[0].d20, 14);
+    assert.equal(completed.attacks[0].item, attacker.item.name);
+    assert.equal(cancelled.reason, "api");
+    assert.deepEqual(cancelled.attacks.map((attack) => attack.status), ["rolled", "pending"]);
+  });
+
+  test("the CSV export has a row per attack and quotes fields that need it", async () => {
+    const attacker = createAttacker();
+    const { tracker, done } = await startFullAttack(attacker);
+    tracker.title = 'Bite, "Claw"';
+    queueD20(12, 3);
+    await tracker._rollNext();
+    await tracker._rollNext();
+    tracker._finish();
+    await done;
+
+    const [header, ...rows] = historyToCSV(api.getSequenceHistory(attacker.actor)).split("\n");
+    assert.ok(header.startsWith("timestamp,title,"));
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].includes(',"Bite, ""Claw""",'));
+    assert.ok(rows[1].includes(",rolled,"));
+  });
+});
+
+describe("API", () => {
+  test("startSequence runs an item's attack regardless of the configured mode", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "never");
+    const attacker = createAttacker();
+    const done = api.startSequence(attacker.item, { skipDialog: true });
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+
+    assert.deepEqual(api.getActiveSequences().map((sequence) => sequence.actorUuid), [attacker.actor.uuid]);
+    assert.equal(await api.rollNext(attacker.actor), true);
+    assert.equal(await api.skip(attacker.actor.uuid), true);
+    assert.equal(tracker._completed, true);
+    assert.equal(api.cancel(attacker.actor), false);
+    tracker._finish();
+    await done;
+    assert.equal(await api.rollNext(attacker.actor), false);
+  });
+});
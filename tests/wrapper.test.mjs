@@ -0,0 +1,273 @@
+import { before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ActionUse,
+  createAttacker,
+  dialogResponses,
+  endCombat,
+  Hooks,
+  loadModule,
+  notifications,
+  resetState,
+  startCombat,
+  waitFor,
+} from "./harness.mjs";
+
+let api;
+let SequentialAttackTracker;
+
+// Another module's wrapper, registered before ours so it runs inside it, as a
+// wrapper with a lower priority would
+let downstreamRuns = 0;
+
+before(async () => {
+  libWrapper.register(
+    "downstream-module",
+    "pf1.actionUse.ActionUse.prototype.process",
+    function (wrapped, ...args) {
+      downstreamRuns++;
+      return wrapped(...args);
+    },
+    "WRAPPER"
+  );
+  api = await loadModule();
+  ({ SequentialAttackTracker } = await import("../scripts/tracker.mjs"));
+});
+
+beforeEach(async () => {
+  await resetState();
+  downstreamRuns = 0;
+});
+
+/**
+ * Use the attacker's action through the wrapped ActionUse.process().
+ * @returns {{actionUse: ActionUse, done: Promise<any>}}
+ */
+function useAction({ actor, item, action }, options) {
+  const actionUse = new pf1.actionUse.ActionUse({ item, action, actor });
+  return { actionUse, done: actionUse.process(options) };
+}
+
+/**
+ * Hand a non-sequential use back to the chain, and check the dialog and its alterations
+ * were applied exactly once.
+ */
+async function assertChained({ actionUse, done }) {
+  assert.equal(await done, actionUse);
+  assert.equal(downstreamRuns, 1);
+  assert.equal(actionUse.calls.process, 1);
+  assert.equal(actionUse.calls.createAttackDialog, 1);
+  assert.equal(actionUse.calls.alterRollData, 1);
+  assert.equal(Hooks.callsOf("pf1CreateActionUse").length, 1);
+  assert.equal(SequentialAttackTracker.active.size, 0);
+}
+
+describe("chaining", () => {
+  test("the wrapper is registered as MIXED on ActionUse#process", () => {
+    const ours = libWrapper.registered.find(([packageId]) => packageId === "pf1-sequential-attacks");
+    assert.equal(ours[1], "pf1.actionUse.ActionUse.prototype.process");
+    assert.equal(ours[3], "MIXED");
+  });
+
+  test("with sequential mode off for the item, the use goes straight down the chain", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    const attacker = createAttacker();
+    await attacker.item.setFlag("pf1-sequential-attacks", "mode", "never");
+    let toggle = null;
+    Hooks.once("renderAttackDialog", (app, html) => (toggle = html.querySelector(".seq-dialog-toggle")));
+    const use = useAction(attacker);
+    await assertChained(use);
+    assert.equal(use.actionUse.calls.checkRequirements, 1);
+    assert.equal(toggle, null);
+  });
+
+  test("with sequential mode off by default, the dialog checkbox starts unticked", async () => {
+    await game.settings.set("pf1-sequential-attacks", "worldMode", "never");
+    let toggle;
+    Hooks.once("renderAttackDialog", (app, html) => (toggle = html.querySelector(".seq-dialog-toggle input")));
+    await assertChained(useAction(createAttacker()));
+    assert.equal(toggle.checked, false);
+    assert.equal(toggle.indeterminate, false);
+  });
+
+  test("a skipped dialog goes straight down the chain", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    const use = useAction(createAttacker(), { skipDialog: true });
+    assert.equal(await use.done, use.actionUse);
+    assert.equal(downstreamRuns, 1);
+    assert.equal(use.actionUse.calls.createAttackDialog, undefined);
+  });
+
+  test("a single attack reuses the dialog result down the chain without double-counting it", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    ActionUse.dialogResult = { fullAttack: true, "attack-bonus": "2[Bless]" };
+    const use = useAction(createAttacker({ action: { attacks: ["0"] } }));
+    await assertChained(use);
+    assert.deepEqual(use.actionUse.shared.attackBonus, ["2[Bless]"]);
+  });
+
+  test("a standard attack from the dialog goes down the chain", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    ActionUse.dialogResult = { fullAttack: false, "power-attack": true };
+    const use = useAction(createAttacker());
+    await assertChained(use);
+    assert.equal(use.actionUse.shared.attackBonus.filter((part) => part.includes("[Power Attack]")).length, 1);
+  });
+
+  test("out of the actor's turn, a full attack goes down the chain when sequences are limited to it", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    await game.settings.set("pf1-sequential-attacks", "combatTurnOnly", true);
+    const attacker = createAttacker();
+    startCombat([createAttacker({ actor: { name: "Orc" } }).actor, attacker.actor]);
+    try {
+      await assertChained(useAction(attacker));
+    } finally {
+      endCombat();
+    }
+  });
+
+  test("declining in ask mode goes down the chain", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "ask");
+    dialogResponses.push(false);
+    await assertChained(useAction(createAttacker()));
+  });
+
+  test("unticking the dialog checkbox goes down the chain without asking", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    Hooks.once("renderAttackDialog", (app, html) => html.querySelector(".seq-dialog-toggle input").click());
+    await assertChained(useAction(createAttacker()));
+  });
+});
+
+describe("taking over", () => {
+  test("a sequential full attack stops the chain and applies the dialog once", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    ActionUse.dialogResult = { fullAttack: true, "attack-bonus": "2[Bless]" };
+    const attacker = createAttacker();
+    const { actionUse, done } = useAction(attacker);
+
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    assert.equal(downstreamRuns, 0);
+    assert.equal(actionUse.calls.process, undefined);
+    assert.equal(actionUse.calls.createAttackDialog, 1);
+    assert.equal(actionUse.calls.alterRollData, 1);
+    assert.deepEqual(actionUse.shared.attackBonus, ["2[Bless]"]);
+
+    // Every attack rolls with the bonus, still once
+    await tracker._rollNext();
+    await tracker._rollNext();
+    for (const atk of tracker.allAttacks) {
+      assert.equal(atk.chatAttack.attackParts.filter((part) => part === "2[Bless]").length, 1);
+    }
+    tracker._finish();
+    assert.equal(await done, actionUse);
+  });
+
+  test("in ask mode the dialog checkbox starts undecided, and leaving it so still asks", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "ask");
+    let toggle;
+    Hooks.once("renderAttackDialog", (app, html) => (toggle = html.querySelector(".seq-dialog-toggle input")));
+    dialogResponses.push(true);
+    const attacker = createAttacker();
+    const { done } = useAction(attacker);
+
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    assert.equal(toggle.indeterminate, true);
+    assert.equal(dialogResponses.length, 0);
+    tracker._cancel();
+    await done;
+  });
+
+  test("ticking the dialog checkbox in ask mode opens the tracker without asking", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "ask");
+    Hooks.once("renderAttackDialog", (app, html) => html.querySelector(".seq-dialog-toggle input").click());
+    // Asking would decline
+    dialogResponses.push(false);
+    const attacker = createAttacker();
+    const { done } = useAction(attacker);
+
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    assert.equal(dialogResponses.length, 1);
+    tracker._cancel();
+    await done;
+  });
+
+  test("ticking the dialog checkbox opens the tracker when sequential mode is off by default", async () => {
+    await game.settings.set("pf1-sequential-attacks", "worldMode", "never");
+    Hooks.once("renderAttackDialog", (app, html) => html.querySelector(".seq-dialog-toggle input").click());
+    const attacker = createAttacker();
+    const { done } = useAction(attacker);
+
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    tracker._cancel();
+    await done;
+  });
+
+  test("accepting in ask mode opens the tracker", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "ask");
+    dialogResponses.push(true);
+    const attacker = createAttacker();
+    const { done } = useAction(attacker);
+
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    tracker._cancel();
+    assert.equal(await done, undefined);
+  });
+
+  test("a second full attack while the tracker is open is refused without offering a discard", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    const attacker = createAttacker();
+    const first = useAction(attacker);
+    const tracker = await waitFor(() => SequentialAttackTracker.active.get(attacker.actor.uuid));
+    await tracker.persist();
+
+    // Discarding would be accepted if it were asked
+    dialogResponses.push(true);
+    const second = useAction(attacker);
+    assert.equal(await second.done, undefined);
+    assert.equal(dialogResponses.length, 1);
+    assert.equal(notifications.warn.length, 1);
+    assert.equal(second.actionUse.calls.alterRollData, undefined);
+    assert.equal(SequentialAttackTracker.active.get(attacker.actor.uuid), tracker);
+
+    tracker._cancel();
+    await first.done;
+  });
+
+  test("a sequence started out of turn is refused before the dialog result is applied", async () => {
+    await game.settings.set("pf1-sequential-attacks", "combatTurnOnly", true);
+    const attacker = createAttacker();
+    startCombat([createAttacker({ actor: { name: "Orc" } }).actor, attacker.actor]);
+    try {
+      const actionUse = new pf1.actionUse.ActionUse({ item: attacker.item, action: attacker.action, actor: attacker.actor });
+      assert.equal(await api.startSequence(actionUse, { skipDialog: true }), undefined);
+      assert.equal(notifications.warn.length, 1);
+      assert.equal(actionUse.calls.alterRollData, undefined);
+      assert.equal(SequentialAttackTracker.active.size, 0);
+    } finally {
+      endCombat();
+    }
+  });
+
+  test("a sequence started out of turn from the API is refused before its dialog opens", async () => {
+    await game.settings.set("pf1-sequential-attacks", "combatTurnOnly", true);
+    const attacker = createAttacker();
+    startCombat([createAttacker({ actor: { name: "Orc" } }).actor, attacker.actor]);
+    try {
+      const actionUse = new pf1.actionUse.ActionUse({ item: attacker.item, action: attacker.action, actor: attacker.actor });
+      assert.equal(await api.startSequence(actionUse), undefined);
+      assert.equal(notifications.warn.length, 1);
+      assert.equal(actionUse.calls.createAttackDialog, undefined);
+    } finally {
+      endCombat();
+    }
+  });
+
+  test("actor overrides take precedence over the user preference", async () => {
+    await game.settings.set("pf1-sequential-attacks", "userMode", "always");
+    const attacker = createAttacker();
+    await attacker.actor.setFlag("pf1-sequential-attacks", "mode", "never");
+    await assertChained(useAction(attacker));
+  });
+});